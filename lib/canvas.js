@@ -0,0 +1,122 @@
+// Canvas compaction for late-joiner replay.
+//
+// Raw drawing history is a list of line segments ({ x0, y0, x1, y1, ...style })
+// and fills ({ fill: true, x, y, color }), each tagged with the strokeId it
+// belongs to. A compacted canvas is a list of ops:
+//   { type: 'path', strokeId, style, points: [x0, y0, x1, y1, x2, y2, ...] }
+//   { type: 'fill', strokeId, ...fillData }
+// Consecutive segments of the same stroke that share a style and join end-to-start
+// are merged into one path, and paths are thinned until the whole canvas fits in
+// maxPoints.
+
+const SEGMENT_KEYS = ['x0', 'y0', 'x1', 'y1', 'strokeId'];
+
+function getSegmentStyle(segment) {
+  const style = {};
+  for (const [key, value] of Object.entries(segment)) {
+    if (!SEGMENT_KEYS.includes(key)) {
+      style[key] = value;
+    }
+  }
+  return style;
+}
+
+function sameStyle(a, b) {
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every(key => a[key] === b[key]);
+}
+
+function isSegment(entry) {
+  return typeof entry.x0 === 'number' && typeof entry.y0 === 'number' &&
+    typeof entry.x1 === 'number' && typeof entry.y1 === 'number';
+}
+
+function toOps(entries) {
+  const ops = [];
+  for (const entry of entries) {
+    if (entry.type === 'path' || entry.type === 'fill') {
+      ops.push(entry.type === 'path' ? { ...entry, points: [...entry.points] } : entry);
+      continue;
+    }
+    if (entry.fill) {
+      ops.push({ type: 'fill', ...entry });
+      continue;
+    }
+    if (!isSegment(entry)) continue;
+    const style = getSegmentStyle(entry);
+    const last = ops[ops.length - 1];
+    if (last && last.type === 'path' && last.strokeId === entry.strokeId && sameStyle(last.style, style)) {
+      const lastX = last.points[last.points.length - 2];
+      const lastY = last.points[last.points.length - 1];
+      if (lastX === entry.x0 && lastY === entry.y0) {
+        last.points.push(entry.x1, entry.y1);
+        continue;
+      }
+    }
+    ops.push({
+      type: 'path',
+      strokeId: entry.strokeId,
+      style,
+      points: [entry.x0, entry.y0, entry.x1, entry.y1]
+    });
+  }
+  return ops;
+}
+
+function countPoints(ops) {
+  return ops.reduce((total, op) => total + (op.type === 'path' ? op.points.length / 2 : 1), 0);
+}
+
+// Drops interior points closer than `tolerance` to the last kept point. The
+// first and last point of every path are always kept.
+function thinPath(points, tolerance) {
+  if (points.length <= 4) return points;
+  const thinned = [points[0], points[1]];
+  for (let i = 2; i < points.length - 2; i += 2) {
+    const dx = points[i] - thinned[thinned.length - 2];
+    const dy = points[i + 1] - thinned[thinned.length - 1];
+    if (Math.hypot(dx, dy) >= tolerance) {
+      thinned.push(points[i], points[i + 1]);
+    }
+  }
+  thinned.push(points[points.length - 2], points[points.length - 1]);
+  return thinned;
+}
+
+// Largest side of the bounding box of all path points, so thinning works the
+// same whether clients send pixel or normalized coordinates
+function getExtent(ops) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const op of ops) {
+    if (op.type !== 'path') continue;
+    for (let i = 0; i < op.points.length; i += 2) {
+      minX = Math.min(minX, op.points[i]);
+      maxX = Math.max(maxX, op.points[i]);
+      minY = Math.min(minY, op.points[i + 1]);
+      maxY = Math.max(maxY, op.points[i + 1]);
+    }
+  }
+  return Number.isFinite(minX) ? Math.max(maxX - minX, maxY - minY) : 0;
+}
+
+function compactCanvas(entries, { maxPoints = 5000 } = {}) {
+  let ops = toOps(entries);
+  let tolerance = getExtent(ops) / 500;
+  let attempts = 0;
+  while (tolerance > 0 && countPoints(ops) > maxPoints && attempts < 10) {
+    ops = ops.map(op => (op.type === 'path' ? { ...op, points: thinPath(op.points, tolerance) } : op));
+    tolerance *= 2;
+    attempts++;
+  }
+  return ops;
+}
+
+module.exports = {
+  compactCanvas,
+  getSegmentStyle,
+  isSegment
+};
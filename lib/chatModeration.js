@@ -0,0 +1,126 @@
+const fs = require('fs');
+
+// Chat moderation pipeline. Each check either rejects the message with a reason
+// meant for the sender, or passes it on; the last step masks blocklisted words.
+// Per-player state lives on the room so it is checkpointed with it:
+//   room.chatModeration[playerKey] = { recent: [timestamps], lastMessage, lastMessageAt, duplicates }
+//   room.mutes[playerKey] = expiresAt
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function loadBlocklist(filePath, extraWords = []) {
+  let words = [];
+  if (filePath) {
+    try {
+      words = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading chat blocklist ${filePath}:`, error);
+      }
+    }
+  }
+  return createBlocklist([...(Array.isArray(words) ? words : []), ...extraWords]);
+}
+
+function createBlocklist(words) {
+  const terms = words
+    .filter(word => typeof word === 'string')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  if (terms.length === 0) return null;
+  // Longest terms first so multi-word entries win over their parts
+  const pattern = [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${pattern})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function maskBlockedWords(message, blocklist) {
+  if (!blocklist) return message;
+  return message.replace(blocklist, match => '*'.repeat(match.length));
+}
+
+function getMuteRemaining(room, playerKey, now = Date.now()) {
+  const expiresAt = room.mutes && room.mutes[playerKey];
+  if (!expiresAt) return 0;
+  if (expiresAt <= now) {
+    delete room.mutes[playerKey];
+    return 0;
+  }
+  return expiresAt - now;
+}
+
+function mutePlayer(room, playerKey, duration, now = Date.now()) {
+  room.mutes = room.mutes || {};
+  room.mutes[playerKey] = now + duration;
+  return room.mutes[playerKey];
+}
+
+function unmutePlayer(room, playerKey) {
+  if (room.mutes) {
+    delete room.mutes[playerKey];
+  }
+}
+
+// Returns { ok: true, message } with the text to broadcast, or { ok: false, code, error }
+function moderateMessage(room, playerKey, message, config, now = Date.now()) {
+  const muteRemaining = getMuteRemaining(room, playerKey, now);
+  if (muteRemaining > 0) {
+    return {
+      ok: false,
+      code: 'MUTED',
+      error: `You are muted for another ${Math.ceil(muteRemaining / 1000)}s`
+    };
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    return { ok: false, code: 'EMPTY', error: 'Message cannot be empty' };
+  }
+  if (message.length > config.maxLength) {
+    return {
+      ok: false,
+      code: 'TOO_LONG',
+      error: `Messages can be at most ${config.maxLength} characters`
+    };
+  }
+
+  room.chatModeration = room.chatModeration || {};
+  const state = room.chatModeration[playerKey] || { recent: [], lastMessage: null, lastMessageAt: null, duplicates: 0 };
+  room.chatModeration[playerKey] = state;
+
+  state.recent = state.recent.filter(timestamp => now - timestamp < config.rateWindow);
+  if (state.recent.length >= config.rateLimit) {
+    return { ok: false, code: 'RATE_LIMITED', error: 'You are sending messages too fast' };
+  }
+
+  const normalized = message.trim().toLowerCase();
+  // `recent` only reaches back rateWindow, which may be shorter than duplicateWindow
+  const lastSent = state.lastMessageAt;
+  if (state.lastMessage === normalized && typeof lastSent === 'number' && now - lastSent < config.duplicateWindow) {
+    if (state.duplicates + 1 >= config.maxDuplicates) {
+      // Retrying keeps the window open, so a steady repeat never gets through
+      state.lastMessageAt = now;
+      return { ok: false, code: 'DUPLICATE', error: 'Please don\'t repeat the same message' };
+    }
+    state.duplicates++;
+  } else {
+    state.duplicates = 0;
+  }
+
+  state.recent.push(now);
+  state.lastMessage = normalized;
+  state.lastMessageAt = now;
+  return { ok: true, message: maskBlockedWords(message, config.blocklist) };
+}
+
+module.exports = {
+  loadBlocklist,
+  createBlocklist,
+  maskBlockedWords,
+  moderateMessage,
+  mutePlayer,
+  unmutePlayer,
+  getMuteRemaining
+};
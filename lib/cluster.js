@@ -0,0 +1,164 @@
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Cluster support is split into three pieces that a backend provides together:
+//   registry - shared room ownership, node liveness and the public room list
+//   bus      - node-to-node messages used to forward socket events to a room's owner
+//   adapter  - the Socket.IO adapter that fans io.to(...).emit out across nodes
+// The 'memory' backend keeps everything inside this process. It is a stand-in for
+// tests and single-dyno deploys; a shared backend (e.g. Redis) plugs in through
+// createCluster with the same method signatures.
+
+const NODE_TTL = 15000;
+
+const memoryState = {
+  owners: new Map(),
+  heartbeats: new Map(),
+  publicRooms: new Map(),
+  emitter: new EventEmitter()
+};
+memoryState.emitter.setMaxListeners(0);
+
+class MemoryRoomRegistry {
+  constructor(state = memoryState) {
+    this.state = state;
+  }
+
+  isNodeAlive(nodeId) {
+    const lastSeen = this.state.heartbeats.get(nodeId);
+    return lastSeen !== undefined && Date.now() - lastSeen < NODE_TTL;
+  }
+
+  async heartbeat(nodeId) {
+    this.state.heartbeats.set(nodeId, Date.now());
+  }
+
+  async claimRoom(roomId, nodeId) {
+    const owner = this.state.owners.get(roomId);
+    if (owner && owner !== nodeId && this.isNodeAlive(owner)) {
+      return false;
+    }
+    this.state.owners.set(roomId, nodeId);
+    return true;
+  }
+
+  async releaseRoom(roomId, nodeId) {
+    if (this.state.owners.get(roomId) === nodeId) {
+      this.state.owners.delete(roomId);
+      this.state.publicRooms.delete(roomId);
+    }
+  }
+
+  async getRoomOwner(roomId) {
+    const owner = this.state.owners.get(roomId);
+    if (!owner || !this.isNodeAlive(owner)) return null;
+    return owner;
+  }
+
+  async syncPublicRooms(nodeId, roomInfos) {
+    for (const [roomId, entry] of this.state.publicRooms.entries()) {
+      if (entry.nodeId === nodeId) {
+        this.state.publicRooms.delete(roomId);
+      }
+    }
+    for (const info of roomInfos) {
+      this.state.publicRooms.set(info.id, { nodeId, info });
+    }
+  }
+
+  async listPublicRooms() {
+    const result = [];
+    for (const entry of this.state.publicRooms.values()) {
+      if (this.isNodeAlive(entry.nodeId)) {
+        result.push(entry.info);
+      }
+    }
+    return result;
+  }
+}
+
+class MemoryClusterBus {
+  constructor(state = memoryState) {
+    this.emitter = state.emitter;
+  }
+
+  // Delivers a message to a single node
+  async publish(nodeId, message) {
+    this.emitter.emit(`node:${nodeId}`, message);
+  }
+
+  // Delivers a message to every node, including the sender
+  async broadcast(message) {
+    this.emitter.emit('broadcast', message);
+  }
+
+  subscribe(nodeId, handler) {
+    this.emitter.on(`node:${nodeId}`, handler);
+    this.emitter.on('broadcast', handler);
+  }
+
+  unsubscribe(nodeId, handler) {
+    this.emitter.off(`node:${nodeId}`, handler);
+    this.emitter.off('broadcast', handler);
+  }
+}
+
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, emitter) {
+    super(nsp, {});
+    this.emitter = emitter;
+    this.messageChannel = `adapter:${nsp.name}`;
+    this.responseChannel = `adapter:${nsp.name}:${this.uid}`;
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (response) => this.onResponse(response);
+    this.emitter.on(this.messageChannel, this.handleMessage);
+    this.emitter.on(this.responseChannel, this.handleResponse);
+  }
+
+  // Delivery is deferred to mimic a network hop between nodes
+  doPublish(message) {
+    setImmediate(() => this.emitter.emit(this.messageChannel, message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.emitter.emit(`adapter:${this.nsp.name}:${requesterUid}`, response));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.emitter.off(this.messageChannel, this.handleMessage);
+    this.emitter.off(this.responseChannel, this.handleResponse);
+  }
+}
+
+function createMemoryAdapter(emitter) {
+  return class extends MemoryClusterAdapter {
+    constructor(nsp) {
+      super(nsp, emitter);
+    }
+  };
+}
+
+function createCluster({ type = 'memory', nodeId }) {
+  switch (type) {
+    case 'memory':
+      return {
+        nodeId,
+        registry: new MemoryRoomRegistry(),
+        bus: new MemoryClusterBus(),
+        adapter: createMemoryAdapter(memoryState.emitter)
+      };
+    default:
+      throw new Error(`Unknown cluster backend: ${type}`);
+  }
+}
+
+module.exports = {
+  createCluster,
+  MemoryRoomRegistry,
+  MemoryClusterBus,
+  MemoryClusterAdapter,
+  NODE_TTL
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Word dictionaries, laid out on disk as <dir>/<language>/<category>.json where
+// each file is a JSON array of words. Loaded into:
+//   { en: { general: [...], animals: [...] }, es: { ... } }
+
+const MAX_WORD_LENGTH = 30;
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+class DictionaryError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+function readCategory(filePath, problems) {
+  let words;
+  try {
+    words = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    problems.push(`${filePath}: ${error.message}`);
+    return null;
+  }
+  if (!Array.isArray(words)) {
+    problems.push(`${filePath}: must be a JSON array of words`);
+    return null;
+  }
+  const cleaned = new Set();
+  words.forEach((word, index) => {
+    if (typeof word !== 'string' || !word.trim()) {
+      problems.push(`${filePath}: entry ${index} is not a word`);
+    } else if (word.trim().length > MAX_WORD_LENGTH) {
+      problems.push(`${filePath}: "${word}" is longer than ${MAX_WORD_LENGTH} characters`);
+    } else {
+      cleaned.add(word.trim());
+    }
+  });
+  if (cleaned.size === 0) {
+    problems.push(`${filePath}: has no words`);
+  }
+  return [...cleaned];
+}
+
+// Reads every dictionary under `dir`. Any invalid file fails the whole load, so a
+// caller can keep serving its previous dictionaries.
+function loadDictionaries(dir) {
+  const problems = [];
+  const dictionaries = {};
+  let languages;
+  try {
+    languages = fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  } catch (error) {
+    throw new DictionaryError(`Cannot read dictionary directory ${dir}: ${error.message}`);
+  }
+  for (const language of languages) {
+    if (!NAME_PATTERN.test(language.name)) {
+      problems.push(`${language.name}: language directory names must be lowercase letters, digits, - or _`);
+      continue;
+    }
+    const files = fs.readdirSync(path.join(dir, language.name)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const category = path.basename(file, '.json');
+      if (!NAME_PATTERN.test(category)) {
+        problems.push(`${language.name}/${file}: category file names must be lowercase letters, digits, - or _`);
+        continue;
+      }
+      const words = readCategory(path.join(dir, language.name, file), problems);
+      if (words) {
+        dictionaries[language.name] = dictionaries[language.name] || {};
+        dictionaries[language.name][category] = words;
+      }
+    }
+  }
+  if (problems.length > 0) {
+    throw new DictionaryError(`Invalid dictionaries in ${dir}`, problems);
+  }
+  if (Object.keys(dictionaries).length === 0) {
+    throw new DictionaryError(`No dictionaries found in ${dir}`);
+  }
+  return dictionaries;
+}
+
+// Words from the chosen categories of a language, or from all of them when none are chosen
+function getWordPool(dictionaries, language, categories = []) {
+  const available = dictionaries[language] || {};
+  const chosen = categories.length > 0 ? categories : Object.keys(available);
+  const pool = new Set();
+  for (const category of chosen) {
+    (available[category] || []).forEach(word => pool.add(word));
+  }
+  return [...pool];
+}
+
+// Every word of every language, lowercased for case-insensitive lookups
+function getDictionaryWords(dictionaries) {
+  const words = new Set();
+  for (const categories of Object.values(dictionaries)) {
+    for (const categoryWords of Object.values(categories)) {
+      categoryWords.forEach(word => words.add(word.toLowerCase()));
+    }
+  }
+  return words;
+}
+
+function describeDictionaries(dictionaries) {
+  const summary = {};
+  for (const [language, categories] of Object.entries(dictionaries)) {
+    summary[language] = {};
+    for (const [category, words] of Object.entries(categories)) {
+      summary[language][category] = words.length;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  DictionaryError,
+  loadDictionaries,
+  getWordPool,
+  getDictionaryWords,
+  describeDictionaries
+};
@@ -0,0 +1,144 @@
+const { TEAMS, TEAM_SCORING_MODES } = require('./teams');
+const { getGameModeNames } = require('./gameModes');
+const { REPLAY_SPEEDS } = require('./replay');
+const { string, number, integer, boolean, oneOf, object, array, binary, variant } = require('./validation');
+
+// Schemas for inbound socket events. Events without a schema take no payload.
+
+const MAX_COORDINATE = 10000;
+const MAX_STROKE_BYTES = 64 * 1024;
+
+const username = string({ trim: true, max: 20, truncate: true, min: 1 });
+// Rooms and profiles keep plain objects keyed by clientId, so an id must not name
+// one of Object.prototype's properties
+const RESERVED_IDS = Object.getOwnPropertyNames(Object.prototype);
+const clientId = string({ pattern: new RegExp(`^(?!(?:${RESERVED_IDS.join('|')})$)[A-Za-z0-9_-]{1,64}$`), optional: true });
+const playerId = string({ min: 1, max: 64 });
+const sessionToken = string({ max: 512, optional: true });
+const avatar = integer({ min: 0, max: 99, default: 0 });
+const strokeProtocol = integer({ min: 0, max: 255, optional: true });
+const coordinate = number({ min: -MAX_COORDINATE, max: MAX_COORDINATE });
+const dictionaryName = string({ trim: true, pattern: /^[a-z0-9_-]{1,32}$/ });
+const teamCount = integer({ min: 2, max: TEAMS.length, optional: true });
+
+const drawingStyle = {
+  color: string({ trim: true, max: 32, optional: true }),
+  lineWidth: number({ min: 0, max: 200, optional: true }),
+  width: number({ min: 0, max: 200, optional: true }),
+  size: number({ min: 0, max: 200, optional: true }),
+  brushSize: number({ min: 0, max: 200, optional: true }),
+  tool: string({ max: 20, optional: true })
+};
+
+const binaryStroke = binary({ maxBytes: MAX_STROKE_BYTES });
+const clearDrawing = object({ clear: boolean({ optional: true }), type: oneOf(['clear'], { optional: true }) });
+const fillDrawing = object({
+  fill: oneOf([true]),
+  x: coordinate,
+  y: coordinate,
+  color: string({ trim: true, min: 1, max: 32 })
+});
+const segmentDrawing = object({
+  x0: coordinate,
+  y0: coordinate,
+  x1: coordinate,
+  y1: coordinate,
+  ...drawingStyle
+});
+
+function selectDrawingSchema(data) {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return binaryStroke;
+  if (!data || typeof data !== 'object') return null;
+  if (data.type === 'clear' || data.clear === true) return clearDrawing;
+  if (data.fill) return fillDrawing;
+  if ('x0' in data) return segmentDrawing;
+  return null;
+}
+
+// Room settings the host picks in the lobby or when starting a game
+const gameSettings = {
+  drawTime: integer({ min: 15, max: 240, optional: true }),
+  rounds: integer({ min: 1, max: 10, optional: true }),
+  maxPlayers: integer({ min: 2, max: 100, optional: true }),
+  gameMode: oneOf(getGameModeNames, { optional: true }),
+  hintsInterval: integer({ min: 1, max: 10, optional: true }),
+  customWords: string({ max: 5000, optional: true }),
+  language: { ...dictionaryName, optional: true },
+  categories: array(dictionaryName, { max: 20, optional: true }),
+  scoring: array(string({ trim: true, max: 32 }), { min: 1, max: 10, optional: true }),
+  teamCount,
+  teamScoring: oneOf(TEAM_SCORING_MODES, { optional: true })
+};
+
+const EVENT_SCHEMAS = {
+  identifyUser: object({
+    username: string({ trim: true, max: 20, truncate: true, optional: true }),
+    clientId,
+    sessionToken,
+    avatar
+  }),
+  createRoom: object({
+    username,
+    clientId,
+    sessionToken,
+    avatar,
+    isPublic: boolean({ optional: true }),
+    isPrivate: boolean({ optional: true }),
+    strokeProtocol
+  }),
+  joinRoom: object({
+    roomId: string({ trim: true, uppercase: true, pattern: /^[A-Z0-9]{6}$/ }),
+    username,
+    clientId,
+    sessionToken,
+    avatar,
+    strokeProtocol,
+    spectate: boolean({ optional: true })
+  }),
+  joinNextGame: object({
+    join: boolean({ default: true })
+  }),
+  // Settings left out keep the room's current ones
+  startGame: object({
+    ...gameSettings,
+    autoBalance: boolean({ optional: true })
+  }),
+  updateSettings: object(gameSettings),
+  assignTeam: object({
+    playerId,
+    teamId: oneOf(TEAMS.map(team => team.id))
+  }),
+  balanceTeams: object({ teamCount }),
+  kickPlayer: object({ playerId }),
+  banPlayer: object({ playerId }),
+  transferHost: object({ playerId }),
+  voteKick: object({ targetId: playerId }),
+  // Mute length in seconds; left out or 0 means the default mute
+  mutePlayer: object({
+    playerId,
+    duration: number({ min: 0, optional: true })
+  }),
+  unmutePlayer: object({ playerId }),
+  watchReplay: object({
+    turn: integer({ min: 0 }),
+    speed: oneOf(REPLAY_SPEEDS, { default: 1 })
+  }),
+  // No fields, but payloads that aren't objects are still rejected
+  stopReplay: object({}),
+  strokeStart: object({}),
+  selectWord: object({
+    word: string({ trim: true, min: 1, max: 50 })
+  }),
+  chatMessage: object({
+    // Length limits are enforced by chat moderation, which reports them to the sender
+    message: string(),
+    options: object({ isCloseGuess: boolean({ optional: true }) }, { optional: true })
+  }),
+  drawing: variant(selectDrawingSchema, {
+    message: 'must be a binary stroke message, a clear, a fill or a line segment'
+  })
+};
+
+module.exports = {
+  EVENT_SCHEMAS
+};
@@ -0,0 +1,694 @@
+const { getGameMode } = require('./gameModes');
+const { scoreCorrectGuess, scoreTurnEnd, buildScoreBreakdown } = require('./scoring');
+
+// Room game flow as a state machine. room.status moves through
+//   waiting → selecting → playing → turnEnd → selecting → … → gameEnd
+// where `selecting` is the drawer choosing a word, `playing` the drawing itself and
+// `turnEnd` the pause before the next turn. Every timer goes through `clock`, so a
+// fake clock can play a whole game without waiting.
+//
+// A selecting or playing turn can also be paused, by the host or while its drawer
+// reconnects. The status stays as it is; room.turnPaused holds the pause and the
+// clock stops. A drawer who drops during a host pause still gets their grace
+// period: turnPaused turns into theirs, with `hostPaused` set so the host's pause
+// holds once they're back.
+//
+// The engine knows nothing about sockets. It reaches players through
+//   emit(room, event, ...args)           everyone in the room
+//   emitTo(playerId, event, ...args)     one player
+// and leaves the rest of the server to optional hooks:
+//   onGameStart(room)                                    before the first turn
+//   onWordsOffered(room, words)
+//   onTurnStart(room)                                    the drawer picked a word
+//   onCorrectGuess(room, player, { seconds, drawTime, points })
+//   onTurnEnd(room, { eligibleCount })                   the turn ran its course
+//   onTurnAbandoned(room)                                the drawer left mid-turn
+//   onPauseExpired(room, drawer)                         the drawer didn't return in time;
+//                                                        removing them drops the turn
+//   onGameEnd(room, standings)                           may return extra gameEnded fields
+//   onChange(room)                                       after every state change
+
+const STATES = ['waiting', 'selecting', 'playing', 'turnEnd', 'gameEnd'];
+
+const DEFAULT_TIMING = {
+  SELECT_TIME: 15,              // Seconds the drawer has to pick a word
+  TICK: 1000,
+  TURN_END_DELAY: 5000,         // Pause between turns (ms)
+  ALL_GUESSED_DELAY: 1500,      // Grace before a turn everyone has guessed ends (ms)
+  DRAWER_LEFT_DELAY: 2000       // Pause before replacing a drawer who left (ms)
+};
+
+const systemClock = {
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+function isGameInProgress(room) {
+  return room.status === 'selecting' || room.status === 'playing' || room.status === 'turnEnd';
+}
+
+function maskWordWithHints(word, revealedPositions) {
+  return word.split('').map((char, index) => {
+    if (char === ' ') return ' ';
+    if (revealedPositions.includes(index)) return char;
+    return '_';
+  }).join('');
+}
+
+// Checkpoints from before turnDrawTime existed only have the room's draw time
+function getTurnDrawTime(room) {
+  return room.turnDrawTime || room.drawTime;
+}
+
+function createGameEngine({
+  clock = systemClock,
+  emit,
+  emitTo,
+  pickWords,
+  getWordTier = () => null,
+  tierMultipliers = {},
+  modeContext = {},
+  timing = {},
+  hooks = {}
+}) {
+  const times = { ...DEFAULT_TIMING, ...timing };
+  // Per room: the countdown tick and the next scheduled transition
+  const timers = new Map();
+
+  function callHook(name, ...args) {
+    return hooks[name] ? hooks[name](...args) : undefined;
+  }
+
+  function getTimers(room) {
+    if (!timers.has(room.id)) {
+      timers.set(room.id, { tick: null, next: null });
+    }
+    return timers.get(room.id);
+  }
+
+  function stopTick(room) {
+    const roomTimers = getTimers(room);
+    if (roomTimers.tick) {
+      clock.clearTimeout(roomTimers.tick);
+      roomTimers.tick = null;
+    }
+  }
+
+  function cancelNext(room) {
+    const roomTimers = getTimers(room);
+    if (roomTimers.next) {
+      clock.clearTimeout(roomTimers.next);
+      roomTimers.next = null;
+    }
+  }
+
+  function stop(room) {
+    stopTick(room);
+    cancelNext(room);
+    timers.delete(room.id);
+  }
+
+  function scheduleNext(room, delay, step) {
+    cancelNext(room);
+    getTimers(room).next = clock.setTimeout(() => {
+      getTimers(room).next = null;
+      step(room);
+    }, delay);
+  }
+
+  function startTick(room) {
+    stopTick(room);
+    const tick = () => {
+      const roomTimers = getTimers(room);
+      roomTimers.tick = null;
+      room.timeLeft -= 1;
+      emit(room, 'timeUpdate', { timeLeft: room.timeLeft });
+      if (room.status === 'playing') {
+        revealScheduledHints(room);
+      }
+      if (room.timeLeft > 0) {
+        roomTimers.tick = clock.setTimeout(tick, times.TICK);
+      } else if (room.status === 'selecting') {
+        beginDrawing(room, room.wordOptions[0]);
+      } else if (room.status === 'playing') {
+        endTurn(room);
+      }
+    };
+    getTimers(room).tick = clock.setTimeout(tick, times.TICK);
+  }
+
+  function pickNextDrawer(room, eligibleDrawers) {
+    return getGameMode(room.gameMode).pickDrawer(room, eligibleDrawers);
+  }
+
+  function canGuess(room, player) {
+    return getGameMode(room.gameMode).canGuess(room, player);
+  }
+
+  // Connected players who can score on the current drawing
+  function getEligibleGuessers(room) {
+    return room.players.filter(p =>
+      p.isConnected && (!room.currentDrawer || p.id !== room.currentDrawer.id) && canGuess(room, p)
+    );
+  }
+
+  function getDifficultyMultiplier(room) {
+    return tierMultipliers[room.wordDifficulty] || 1;
+  }
+
+  // Adds scoring awards to player scores and the turn's breakdown. Scores never drop below zero.
+  function applyAwards(room, awards) {
+    const applied = [];
+    for (const award of awards) {
+      const player = room.players.find(p => p.id === award.playerId);
+      if (!player) continue;
+      const points = Math.max(award.points, -player.score);
+      player.score += points;
+      applied.push({ ...award, points });
+    }
+    room.turnAwards = room.turnAwards || [];
+    room.turnAwards.push(...applied);
+    return applied;
+  }
+
+  function offerWords(room, drawer) {
+    const words = getGameMode(room.gameMode).selectWords(room, () => pickWords(room));
+    room.wordOptions = words;
+    callHook('onWordsOffered', room, words);
+    emitTo(drawer.id, 'wordSelection', {
+      words,
+      difficulties: words.map(word => getWordTier(word))
+    });
+  }
+
+  function beginSelection(room, drawer) {
+    offerWords(room, drawer);
+    room.timeLeft = times.SELECT_TIME;
+    room.status = 'selecting';
+    startTick(room);
+  }
+
+  function startGame(room) {
+    stopTick(room);
+    cancelNext(room);
+    room.round = 1;
+    room.players.forEach(player => {
+      player.hasDrawnThisRound = false;
+      player.hasGuessedCorrectly = false;
+      player.isDrawing = false;
+    });
+    callHook('onGameStart', room);
+
+    // Instead of making the host the first drawer, pick a random player
+    room.lastTeamId = null;
+    const drawer = pickNextDrawer(room, room.players.filter(p => p.isConnected));
+    drawer.isDrawing = true;
+    drawer.hasDrawnThisRound = true;
+    room.currentDrawer = drawer;
+    room.lastDrawer = drawer;
+    room.lastTeamId = drawer.teamId;
+    // The first drawer's turn is turn 1 of round 1
+    room.currentTurn = 2;
+
+    emit(room, 'gameStarted', {
+      gameId: room.gameId,
+      round: room.round,
+      totalRounds: room.totalRounds,
+      drawer: {
+        id: drawer.id,
+        username: drawer.username
+      }
+    });
+    beginSelection(room, drawer);
+    callHook('onChange', room);
+    return drawer;
+  }
+
+  function startTurn(room) {
+    // Reset all player states for the new turn
+    room.players.forEach(player => {
+      player.hasGuessedCorrectly = false;
+      player.isDrawing = false;
+    });
+    if (room.currentTurn === undefined) {
+      room.currentTurn = 1;
+    }
+
+    const activePlayers = room.players.filter(player => player.isConnected);
+    const totalTurnsInRound = activePlayers.length;
+
+    // Check if we've completed all turns in the current round
+    if (room.currentTurn > totalTurnsInRound) {
+      room.currentTurn = 1;
+      room.players.forEach(player => {
+        player.hasDrawnThisRound = false;
+      });
+      room.round++;
+      room.lastDrawer = null;
+      if (room.round > room.totalRounds) {
+        return endGame(room);
+      }
+      emit(room, 'roundInfo', {
+        round: room.round,
+        totalRounds: room.totalRounds
+      });
+    }
+
+    // Connected players who haven't drawn this round and weren't the last drawer
+    const eligibleDrawers = room.players.filter(player =>
+      !player.hasDrawnThisRound &&
+      player.isConnected &&
+      (!room.lastDrawer || player.id !== room.lastDrawer.id)
+    );
+
+    let nextDrawer;
+    if (eligibleDrawers.length > 0) {
+      nextDrawer = pickNextDrawer(room, eligibleDrawers);
+    } else {
+      // Nobody is left to draw this round, so start the next one
+      room.players.forEach(player => {
+        player.hasDrawnThisRound = false;
+      });
+      room.currentTurn = 1;
+      room.round++;
+      room.lastDrawer = null;
+      if (room.round > room.totalRounds) {
+        return endGame(room);
+      }
+      nextDrawer = activePlayers[0];
+    }
+
+    if (!nextDrawer) {
+      // Everyone is disconnected; the room waits for someone to come back or expires
+      room.status = 'waiting';
+      room.currentDrawer = null;
+      callHook('onChange', room);
+      return;
+    }
+
+    nextDrawer.isDrawing = true;
+    nextDrawer.hasDrawnThisRound = true;
+    room.currentDrawer = nextDrawer;
+    room.lastDrawer = nextDrawer;
+    room.lastTeamId = nextDrawer.teamId;
+
+    emit(room, 'turnState', {
+      drawer: nextDrawer.id,
+      players: room.players
+    });
+    emit(room, 'canvasCleared');
+    emit(room, 'turnStarted', {
+      players: room.players,
+      drawer: nextDrawer,
+      currentTurn: room.currentTurn,
+      totalTurns: totalTurnsInRound
+    });
+    room.currentTurn++;
+
+    beginSelection(room, nextDrawer);
+    emit(room, 'gameStarted', {
+      gameId: room.gameId,
+      round: room.round,
+      totalRounds: room.totalRounds,
+      drawer: {
+        id: nextDrawer.id,
+        username: nextDrawer.username
+      }
+    });
+    emit(room, 'playerSelecting', {
+      drawer: nextDrawer.id,
+      drawerName: nextDrawer.username
+    });
+    callHook('onChange', room);
+  }
+
+  function scheduleHints(room) {
+    const totalDrawTime = getTurnDrawTime(room) + 10;
+    room.hintTimes = {
+      firstHint: room.timeLeft - Math.floor(totalDrawTime * 0.4),
+      secondHint: room.timeLeft - Math.floor(totalDrawTime * 0.7)
+    };
+  }
+
+  function revealScheduledHints(room) {
+    if (!room.word || !room.hintsRevealed || !room.hintTimes) return;
+    if (room.timeLeft === room.hintTimes.firstHint && room.hintsRevealed.count === 0) {
+      revealHint(room, 1);
+    }
+    if (room.timeLeft === room.hintTimes.secondHint && room.hintsRevealed.count === 1) {
+      revealHint(room, 2);
+    }
+  }
+
+  function revealHint(room, hintNumber) {
+    if (!getGameMode(room.gameMode).canRevealHint(room, hintNumber)) return;
+    const word = room.word;
+    let availablePositions = [];
+    for (let i = 0; i < word.length; i++) {
+      if (word[i] !== ' ' && !room.hintsRevealed.positions.includes(i)) {
+        availablePositions.push(i);
+      }
+    }
+    if (availablePositions.length === 0) return;
+    availablePositions = availablePositions.sort(() => 0.5 - Math.random());
+    const toReveal = hintNumber === 1
+      ? Math.max(1, Math.ceil(availablePositions.length * 0.25))
+      : Math.max(1, Math.ceil(availablePositions.length * 0.5));
+    room.hintsRevealed.positions = [...room.hintsRevealed.positions, ...availablePositions.slice(0, toReveal)];
+    room.hintsRevealed.count = hintNumber;
+    const maskedWord = maskWordWithHints(word, room.hintsRevealed.positions);
+    for (const player of room.players) {
+      if (player.id === room.currentDrawer.id || player.hasGuessedCorrectly) {
+        continue;
+      }
+      emitTo(player.id, 'wordHint', {
+        hint: maskedWord,
+        hintNumber
+      });
+    }
+  }
+
+  function beginDrawing(room, word) {
+    stopTick(room);
+    const mode = getGameMode(room.gameMode);
+    room.word = word;
+    room.wordDifficulty = getWordTier(word);
+    room.turnAwards = [];
+    room.turnGuessers = [];
+    room.status = 'playing';
+    room.turnDrawTime = mode.getDrawTime(room) || 80;
+    room.timeLeft = room.turnDrawTime;
+    room.hintsRevealed = {
+      count: 0,
+      positions: []
+    };
+    emit(room, 'canvasCleared');
+    callHook('onTurnStart', room);
+    for (const player of room.players) {
+      const isDrawer = player.id === room.currentDrawer.id;
+      const wordToSend = isDrawer ? word : mode.maskWord(room, word);
+      emitTo(player.id, 'roundStart', {
+        drawer: room.currentDrawer.id,
+        drawerName: room.currentDrawer.username,
+        word: wordToSend,
+        timeLeft: room.timeLeft,
+        isDrawing: isDrawer
+      });
+      if (!isDrawer) {
+        emitTo(player.id, 'wordHint', {
+          hint: wordToSend,
+          hintNumber: 0
+        });
+      }
+    }
+    scheduleHints(room);
+    startTick(room);
+    callHook('onChange', room);
+  }
+
+  // The drawer's word choice; false if it isn't theirs to make right now
+  function selectWord(room, playerId, word) {
+    if (room.status !== 'selecting' || !room.currentDrawer || room.currentDrawer.id !== playerId || !word) {
+      return false;
+    }
+    beginDrawing(room, word);
+    return true;
+  }
+
+  function isCorrectGuess(room, guess) {
+    return room.status === 'playing' && getGameMode(room.gameMode).checkGuess(room, guess);
+  }
+
+  // Scores a correct guess and returns the guesser's points. The turn ends early
+  // once every eligible guesser has it.
+  function recordCorrectGuess(room, player) {
+    const mode = getGameMode(room.gameMode);
+    const drawTime = getTurnDrawTime(room);
+    player.hasGuessedCorrectly = true;
+    room.turnGuessers = room.turnGuessers || [];
+    const awards = applyAwards(room, mode.adjustAwards(room, scoreCorrectGuess(room.scoring, {
+      guesser: player,
+      drawer: room.currentDrawer,
+      timeLeft: room.timeLeft,
+      drawTime,
+      guessIndex: room.turnGuessers.length,
+      // Harder words are worth more
+      multiplier: getDifficultyMultiplier(room)
+    })));
+    room.turnGuessers.push(player.id);
+    const points = awards
+      .filter(award => award.playerId === player.id)
+      .reduce((total, award) => total + award.points, 0);
+    callHook('onCorrectGuess', room, player, { seconds: drawTime - room.timeLeft, drawTime, points });
+    if (getEligibleGuessers(room).every(p => p.hasGuessedCorrectly)) {
+      stopTick(room);
+      scheduleNext(room, times.ALL_GUESSED_DELAY, endTurn);
+    }
+    callHook('onChange', room);
+    return points;
+  }
+
+  function endTurn(room) {
+    if (room.status !== 'playing') return;
+    stopTick(room);
+    cancelNext(room);
+    const mode = getGameMode(room.gameMode);
+    mode.onTurnEnd(room, modeContext);
+
+    const eligibleCount = getEligibleGuessers(room).length;
+    applyAwards(room, scoreTurnEnd(room.scoring, {
+      drawer: room.currentDrawer,
+      guessers: room.turnGuessers.map(id => room.players.find(p => p.id === id)).filter(Boolean),
+      eligibleCount,
+      multiplier: getDifficultyMultiplier(room)
+    }));
+    const scoreBreakdown = buildScoreBreakdown(room.turnAwards, room.players);
+
+    room.players.forEach(player => {
+      player.hasGuessedCorrectly = false;
+      player.isDrawing = false;
+    });
+    room.currentDrawer = null;
+    room.status = 'turnEnd';
+    callHook('onTurnEnd', room, { eligibleCount });
+
+    emit(room, 'turnEnded', {
+      word: room.word,
+      players: room.players,
+      scoreBreakdown,
+      ...mode.getTurnSummary(room, scoreBreakdown),
+      currentTurn: room.currentTurn,
+      totalTurns: room.players.filter(p => p.isConnected).length,
+      status: 'waiting'
+    });
+    scheduleNext(room, times.TURN_END_DELAY, finishTurn);
+    callHook('onChange', room);
+  }
+
+  // Moves on from turnEnd: the next turn, the next round or the end of the game
+  function finishTurn(room) {
+    const allPlayersHaveDrawn = room.players.every(player => player.hasDrawnThisRound === true || !player.isConnected);
+    if (allPlayersHaveDrawn) {
+      if (room.round >= room.totalRounds) {
+        return endGame(room);
+      }
+      room.players.forEach(player => {
+        player.hasDrawnThisRound = false;
+      });
+      room.currentTurn = 1;
+      room.round++;
+    }
+    startTurn(room);
+  }
+
+  function endGame(room) {
+    stopTick(room);
+    cancelNext(room);
+    room.status = 'gameEnd';
+    room.currentDrawer = null;
+    const standings = [...room.players].sort((a, b) => b.score - a.score);
+    const details = callHook('onGameEnd', room, standings) || {};
+    emit(room, 'gameEnded', {
+      gameId: room.gameId,
+      players: standings,
+      ...getGameMode(room.gameMode).getGameSummary(room),
+      ...details
+    });
+    callHook('onChange', room);
+  }
+
+  // The drawer left or disconnected: skip to the next turn without scoring this one
+  function handleDrawerLeft(room) {
+    if (room.status !== 'selecting' && room.status !== 'playing') return;
+    stopTick(room);
+    delete room.turnPaused;
+    if (room.status === 'playing') {
+      callHook('onTurnAbandoned', room);
+    }
+    room.status = 'turnEnd';
+    room.currentDrawer = null;
+    scheduleNext(room, times.DRAWER_LEFT_DELAY, startTurn);
+    callHook('onChange', room);
+  }
+
+  // Freezes the current turn. `reason` is 'drawer' while the drawer reconnects, which
+  // gives up on them after `gracePeriod` seconds, or 'host', which waits for the host
+  // to resume. False if there's no turn to pause.
+  function pauseTurn(room, { reason = 'drawer', gracePeriod = null } = {}) {
+    if ((room.status !== 'selecting' && room.status !== 'playing') || !room.currentDrawer) {
+      return false;
+    }
+    const hostPaused = Boolean(room.turnPaused);
+    if (hostPaused && (reason !== 'drawer' || room.turnPaused.reason !== 'host')) {
+      return false;
+    }
+    stopTick(room);
+    cancelNext(room);
+    room.turnPaused = hostPaused ? { reason, gracePeriod, hostPaused } : { reason, gracePeriod };
+    emit(room, 'turnPaused', {
+      reason,
+      drawer: room.currentDrawer.id,
+      drawerName: room.currentDrawer.username,
+      timeLeft: room.timeLeft,
+      gracePeriod
+    });
+    if (gracePeriod !== null) {
+      schedulePauseExpiry(room);
+    }
+    callHook('onChange', room);
+    return true;
+  }
+
+  function schedulePauseExpiry(room) {
+    scheduleNext(room, room.turnPaused.gracePeriod * 1000, () => {
+      callHook('onPauseExpired', room, room.currentDrawer);
+      // Unless the hook already dropped the turn, or stopped the room altogether
+      if (room.turnPaused && timers.has(room.id)) {
+        handleDrawerLeft(room);
+      }
+    });
+  }
+
+  function resendTurnToDrawer(room, drawer) {
+    if (room.status === 'selecting') {
+      emitTo(drawer.id, 'wordSelection', {
+        words: room.wordOptions,
+        difficulties: room.wordOptions.map(word => getWordTier(word))
+      });
+      return;
+    }
+    emitTo(drawer.id, 'roundStart', {
+      drawer: drawer.id,
+      drawerName: drawer.username,
+      word: room.word,
+      timeLeft: room.timeLeft,
+      isDrawing: true
+    });
+  }
+
+  // Lifts the `reason` pause, by default whichever holds the turn, and picks the turn
+  // back up where it stopped. A drawer who reconnected gets their word options or
+  // their word again. While a host pause is waiting on its drawer, either side
+  // lifting theirs leaves the turn paused for the other. False if nothing was lifted.
+  function resumeTurn(room, reason = room.turnPaused && room.turnPaused.reason) {
+    const paused = room.turnPaused;
+    if (!paused || !room.currentDrawer) return false;
+    if (reason === 'host' && paused.reason === 'drawer' && paused.hostPaused) {
+      delete paused.hostPaused;
+      callHook('onChange', room);
+      return true;
+    }
+    if (reason !== paused.reason) return false;
+    cancelNext(room);
+    const drawer = room.currentDrawer;
+    if (reason === 'drawer') {
+      resendTurnToDrawer(room, drawer);
+    }
+    if (paused.hostPaused) {
+      room.turnPaused = { reason: 'host', gracePeriod: null };
+      emit(room, 'turnPaused', {
+        reason: 'host',
+        drawer: drawer.id,
+        drawerName: drawer.username,
+        timeLeft: room.timeLeft,
+        gracePeriod: null
+      });
+      callHook('onChange', room);
+      return true;
+    }
+    delete room.turnPaused;
+    emit(room, 'turnResumed', {
+      reason,
+      drawer: drawer.id,
+      drawerName: drawer.username,
+      timeLeft: room.timeLeft
+    });
+    if (room.status === 'playing' && getEligibleGuessers(room).every(p => p.hasGuessedCorrectly)) {
+      scheduleNext(room, times.ALL_GUESSED_DELAY, endTurn);
+    } else {
+      startTick(room);
+    }
+    callHook('onChange', room);
+    return true;
+  }
+
+  // The host skipped the turn: on to the next one without scoring it
+  function skipTurn(room) {
+    if ((room.status !== 'selecting' && room.status !== 'playing') || !room.currentDrawer) return false;
+    emit(room, 'turnSkipped', {
+      drawer: room.currentDrawer.id,
+      drawerName: room.currentDrawer.username,
+      word: room.status === 'playing' ? room.word : undefined
+    });
+    handleDrawerLeft(room);
+    return true;
+  }
+
+  // Restarts the timers of a room restored from a checkpoint
+  function resume(room) {
+    if (room.turnPaused && room.currentDrawer) {
+      // A drawer's grace period starts over, since nobody could reconnect during the restart
+      if (room.turnPaused.gracePeriod !== null) {
+        schedulePauseExpiry(room);
+      }
+      return;
+    }
+    if ((room.status === 'selecting' || room.status === 'playing') && room.currentDrawer) {
+      if (room.status === 'playing') {
+        room.hintsRevealed = room.hintsRevealed || { count: 0, positions: [] };
+        if (!room.hintTimes) {
+          scheduleHints(room);
+        }
+      }
+      startTick(room);
+      return;
+    }
+    if (isGameInProgress(room)) {
+      // The snapshot was taken between turns, so move on to the next one
+      room.status = 'turnEnd';
+      scheduleNext(room, times.DRAWER_LEFT_DELAY, finishTurn);
+    }
+  }
+
+  return {
+    startGame,
+    selectWord,
+    isCorrectGuess,
+    canGuess,
+    recordCorrectGuess,
+    handleDrawerLeft,
+    pauseTurn,
+    resumeTurn,
+    skipTurn,
+    resume,
+    stop
+  };
+}
+
+module.exports = {
+  STATES,
+  DEFAULT_TIMING,
+  systemClock,
+  isGameInProgress,
+  createGameEngine
+};
@@ -0,0 +1,156 @@
+const { levenshteinDistance } = require('./wordLeak');
+const { balanceTeams, canGuessInTeams, pickTeamDrawer, getTeamStandings, getTeamsUpdate } = require('./teams');
+
+// Game mode plugins. A mode is a set of hooks; any hook it leaves out falls back
+// to DEFAULT_HOOKS, which is how a Normal game plays. Hooks that act on the
+// outside world get a context from the server:
+//   { emit(room, event, payload), flushDrawing(room) }
+//
+//   validateSettings(room, settings)      error message if the mode can't start, else null
+//   setup(room, settings, context)        runs once when a game starts
+//   pickDrawer(room, eligibleDrawers)     the next drawer
+//   selectWords(room, getDictionaryWords) word options offered to the drawer
+//   getDrawTime(room)                     seconds for the turn about to start
+//   maskWord(room, word)                  what guessers see of the word at turn start
+//   canRevealHint(room, hintNumber)       whether a scheduled hint goes out
+//   canGuess(room, player)                whether a player may score on this drawing
+//   checkGuess(room, guess)               whether a guess is correct
+//   adjustAwards(room, awards)            changes the scoring awards of a correct guess
+//   getDrawingDelay(room, batchInterval)  ms strokes are held before guessers see them
+//   onTurnEnd(room, context)              runs before turnEnded goes out
+//   getTurnSummary(room, scoreBreakdown)  extra fields for turnEnded
+//   getGameSummary(room)                  extra fields for gameEnded
+
+const DEFAULT_HOOKS = {
+  validateSettings: () => null,
+  setup: () => {},
+  pickDrawer: (room, eligibleDrawers) => eligibleDrawers[Math.floor(Math.random() * eligibleDrawers.length)],
+  selectWords: (room, getDictionaryWords) => getDictionaryWords(),
+  getDrawTime: room => room.drawTime,
+  maskWord: (room, word) => word.replace(/[a-zA-Z]/g, '_'),
+  canRevealHint: () => true,
+  canGuess: () => true,
+  checkGuess(room, guess) {
+    const normalizedGuess = guess.toLowerCase().trim();
+    const normalizedWord = room.word.toLowerCase().trim();
+    // Long words forgive a single typo
+    return normalizedGuess === normalizedWord || (
+      normalizedGuess.length > 6 &&
+      normalizedWord.length > 6 &&
+      levenshteinDistance(normalizedGuess, normalizedWord) === 1
+    );
+  },
+  adjustAwards: (room, awards) => awards,
+  getDrawingDelay: (room, batchInterval) => batchInterval,
+  onTurnEnd: () => {},
+  getTurnSummary: () => ({}),
+  getGameSummary: () => ({})
+};
+
+const GAME_MODES = new Map();
+
+function registerGameMode(name, hooks) {
+  GAME_MODES.set(name, { ...DEFAULT_HOOKS, ...hooks, name });
+}
+
+function getGameMode(name) {
+  return GAME_MODES.get(name) || GAME_MODES.get('Normal');
+}
+
+function getGameModeNames() {
+  return Array.from(GAME_MODES.keys());
+}
+
+function describeGameModes() {
+  return Array.from(GAME_MODES.values()).map(({ name, description }) => ({ name, description }));
+}
+
+// A host's comma-separated custom word list, without blanks or overlong words
+function parseCustomWords(text) {
+  return text.split(',')
+    .map(word => word.trim())
+    .filter(word => word.length > 0 && word.length <= 30);
+}
+
+function scaleAwards(awards, factor) {
+  return awards.map(award => ({ ...award, points: Math.ceil(award.points * factor) }));
+}
+
+registerGameMode('Normal', {
+  description: 'Take turns drawing and guessing'
+});
+
+registerGameMode('Custom Words', {
+  description: 'Draw from a word list the host provides',
+  setup(room, settings) {
+    if (settings.customWords) {
+      room.customWords = parseCustomWords(settings.customWords);
+    }
+  },
+  selectWords(room, getDictionaryWords) {
+    if (!room.customWords || room.customWords.length < 3) {
+      return getDictionaryWords();
+    }
+    return [...room.customWords].sort(() => 0.5 - Math.random()).slice(0, 3);
+  }
+});
+
+registerGameMode('Teams', {
+  description: 'Play in teams; drawers alternate between teams',
+  validateSettings(room, settings) {
+    const teamCount = settings.teamCount || room.teamCount;
+    const teamScoring = settings.teamScoring || room.teamScoring;
+    // Every team needs someone to draw, and someone to guess in the teammates variant
+    const requiredPlayers = teamCount * (teamScoring === 'teammates' ? 2 : 1);
+    if (room.players.filter(p => p.isConnected).length < requiredPlayers) {
+      return `Teams mode with ${teamCount} teams needs at least ${requiredPlayers} players`;
+    }
+    return null;
+  },
+  setup(room, settings, context) {
+    room.teamCount = settings.teamCount || room.teamCount;
+    room.teamScoring = settings.teamScoring || room.teamScoring;
+    balanceTeams(room.players.filter(p => p.isConnected), room.teamCount, { reshuffle: settings.autoBalance === true });
+    context.emit(room, 'teamsUpdated', getTeamsUpdate(room));
+  },
+  pickDrawer: (room, eligibleDrawers) => pickTeamDrawer(eligibleDrawers, room.teamCount, room.lastTeamId),
+  canGuess: (room, player) => canGuessInTeams(room.teamScoring, room.currentDrawer, player),
+  getTurnSummary: (room, scoreBreakdown) => ({ teams: getTeamStandings(room.players, room.teamCount, scoreBreakdown) }),
+  getGameSummary: room => ({ teams: getTeamStandings(room.players, room.teamCount) })
+});
+
+registerGameMode('Hidden', {
+  description: 'No hints and no letter count; correct guesses score 1.5x',
+  maskWord: () => '',
+  canRevealHint: () => false,
+  adjustAwards: (room, awards) => scaleAwards(awards, 1.5)
+});
+
+const SPEED_SHRINK = 0.8;         // Each round's draw time is this share of the last
+const SPEED_MIN_DRAW_TIME = 20;
+
+registerGameMode('Speed', {
+  description: 'Draw time shrinks by a fifth every round',
+  getDrawTime: room => Math.max(
+    SPEED_MIN_DRAW_TIME,
+    Math.round(room.drawTime * SPEED_SHRINK ** Math.max(0, room.round - 1))
+  )
+});
+
+const BLIND_REVEAL_INTERVAL = 5000;
+
+registerGameMode('Blind', {
+  description: 'Guessers only see the drawing in bursts every few seconds; correct guesses score 1.25x',
+  getDrawingDelay: () => BLIND_REVEAL_INTERVAL,
+  adjustAwards: (room, awards) => scaleAwards(awards, 1.25),
+  // Show the whole drawing before the word is revealed
+  onTurnEnd: (room, context) => context.flushDrawing(room)
+});
+
+module.exports = {
+  registerGameMode,
+  getGameMode,
+  getGameModeNames,
+  describeGameModes,
+  parseCustomWords
+};
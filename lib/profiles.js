@@ -0,0 +1,137 @@
+// Lifetime player profiles and the leaderboards built from them, keyed by the
+// player's verified clientId. Profiles are a plain object so they save as JSON:
+//   { [clientId]: { id, clientId, username, avatar, createdAt, updatedAt, lifetimeScore,
+//                   gamesPlayed, gamesWon, correctGuesses, guessTime, recentGames } }
+// `id` is a random public id; clientIds stay private, since knowing one is a step
+// towards speaking for its player. `guessTime` sums the seconds each correct guess
+// took. `recentGames` holds `{ finishedAt, score, won }` for the games inside the
+// longest leaderboard window.
+
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rolling windows in ms; null means all time
+const LEADERBOARD_PERIODS = {
+  global: null,
+  daily: DAY,
+  weekly: 7 * DAY
+};
+
+const RECENT_WINDOW = Math.max(...Object.values(LEADERBOARD_PERIODS).filter(Boolean));
+
+function hasProfile(profiles, clientId) {
+  return Object.prototype.hasOwnProperty.call(profiles, clientId);
+}
+
+function getProfileEntry(profiles, { clientId, username, avatar }, now) {
+  if (!hasProfile(profiles, clientId)) {
+    profiles[clientId] = {
+      id: crypto.randomUUID(),
+      clientId,
+      username,
+      avatar,
+      createdAt: now,
+      updatedAt: now,
+      lifetimeScore: 0,
+      gamesPlayed: 0,
+      gamesWon: 0,
+      correctGuesses: 0,
+      guessTime: 0,
+      recentGames: []
+    };
+  }
+  return profiles[clientId];
+}
+
+// result: { clientId, username, avatar, score, won, correctGuesses, guessTime }
+function recordGameResult(profiles, result, now = Date.now()) {
+  const profile = getProfileEntry(profiles, result, now);
+  // Profiles show the name and avatar the player last played with
+  profile.username = result.username;
+  profile.avatar = result.avatar;
+  profile.updatedAt = now;
+  profile.lifetimeScore += result.score;
+  profile.gamesPlayed++;
+  profile.gamesWon += result.won ? 1 : 0;
+  profile.correctGuesses += result.correctGuesses;
+  profile.guessTime += result.guessTime;
+  profile.recentGames = profile.recentGames
+    .filter(game => now - game.finishedAt < RECENT_WINDOW)
+    .concat({ finishedAt: now, score: result.score, won: result.won });
+  return profile;
+}
+
+// Records a finished game for every player in `results`. Everyone on the top score
+// wins, as long as someone scored.
+function recordGameResults(profiles, results, now = Date.now()) {
+  const topScore = results.length > 0 ? Math.max(...results.map(result => result.score)) : 0;
+  return results.map(result => recordGameResult(profiles, {
+    ...result,
+    won: topScore > 0 && result.score === topScore
+  }, now));
+}
+
+// The public id of the profile a clientId owns, or null if it has none yet
+function getProfileId(profiles, clientId) {
+  return hasProfile(profiles, clientId) ? profiles[clientId].id : null;
+}
+
+function findProfile(profiles, profileId) {
+  return Object.values(profiles).find(profile => profile.id === profileId) || null;
+}
+
+// The public view of a profile, looked up by its public id
+function describeProfile(profiles, profileId) {
+  const profile = findProfile(profiles, profileId);
+  if (!profile) return null;
+  return {
+    id: profile.id,
+    username: profile.username,
+    avatar: profile.avatar,
+    createdAt: profile.createdAt,
+    lifetimeScore: profile.lifetimeScore,
+    gamesPlayed: profile.gamesPlayed,
+    gamesWon: profile.gamesWon,
+    correctGuesses: profile.correctGuesses,
+    averageGuessTime: profile.correctGuesses > 0 ? profile.guessTime / profile.correctGuesses : null
+  };
+}
+
+// Score, games and wins over the period's window, for players who played in it
+function getPeriodTotals(profile, window, now) {
+  if (window === null) {
+    return { score: profile.lifetimeScore, gamesPlayed: profile.gamesPlayed, gamesWon: profile.gamesWon };
+  }
+  const games = profile.recentGames.filter(game => now - game.finishedAt < window);
+  return {
+    score: games.reduce((total, game) => total + game.score, 0),
+    gamesPlayed: games.length,
+    gamesWon: games.filter(game => game.won).length
+  };
+}
+
+// [{ rank, profileId, username, avatar, score, gamesPlayed, gamesWon }], best first
+function getLeaderboard(profiles, period, { limit = 100, now = Date.now() } = {}) {
+  const window = LEADERBOARD_PERIODS[period];
+  return Object.values(profiles)
+    .map(profile => ({
+      profileId: profile.id,
+      username: profile.username,
+      avatar: profile.avatar,
+      ...getPeriodTotals(profile, window, now)
+    }))
+    .filter(entry => entry.gamesPlayed > 0)
+    .sort((a, b) => b.score - a.score || b.gamesWon - a.gamesWon || a.gamesPlayed - b.gamesPlayed)
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  recordGameResult,
+  recordGameResults,
+  getProfileId,
+  describeProfile,
+  getLeaderboard
+};
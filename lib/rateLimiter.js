@@ -0,0 +1,105 @@
+// Token-bucket rate limiting for socket events, and per-IP connection caps.
+//
+// Every socket gets one bucket per event. A bucket holds up to `capacity` tokens
+// and refills at `refillPerSecond`; each event takes one token. Events that find
+// their bucket empty are dropped and count as a violation. Violations escalate:
+// the first few are dropped silently, the `warnAfter`th earns a warning, and the
+// `disconnectAfter`th disconnects the socket. Violations are forgotten once the
+// socket stays within its budgets for `decay` ms.
+
+function createTokenBucket(capacity, refillPerSecond, now = Date.now()) {
+  return { capacity, refillPerSecond, tokens: capacity, updatedAt: now };
+}
+
+function takeToken(bucket, now = Date.now()) {
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) {
+    return false;
+  }
+  bucket.tokens -= 1;
+  return true;
+}
+
+// Milliseconds until the bucket holds a whole token again
+function getRetryAfter(bucket) {
+  if (bucket.tokens >= 1 || bucket.refillPerSecond <= 0) return 0;
+  return Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+}
+
+// config: { budgets: { [event]: { capacity, refillPerSecond } }, defaultBudget,
+//           warnAfter, disconnectAfter, decay }
+function createEventLimiter(config) {
+  const buckets = new Map();
+  let violations = 0;
+  let lastViolationAt = 0;
+
+  function getBucket(event, now) {
+    let bucket = buckets.get(event);
+    if (!bucket) {
+      const budget = config.budgets[event] || config.defaultBudget;
+      bucket = createTokenBucket(budget.capacity, budget.refillPerSecond, now);
+      buckets.set(event, bucket);
+    }
+    return bucket;
+  }
+
+  // Returns { action: 'allow' | 'drop' | 'warn' | 'disconnect', retryAfter }
+  function consume(event, now = Date.now()) {
+    const bucket = getBucket(event, now);
+    if (takeToken(bucket, now)) {
+      return { action: 'allow', retryAfter: 0 };
+    }
+    if (now - lastViolationAt > config.decay) {
+      violations = 0;
+    }
+    violations++;
+    lastViolationAt = now;
+    const retryAfter = getRetryAfter(bucket);
+    if (violations >= config.disconnectAfter) {
+      return { action: 'disconnect', retryAfter };
+    }
+    if (violations === config.warnAfter) {
+      return { action: 'warn', retryAfter };
+    }
+    return { action: 'drop', retryAfter };
+  }
+
+  return { consume };
+}
+
+function createConnectionLimiter(maxPerKey) {
+  const counts = new Map();
+
+  function acquire(key) {
+    const count = counts.get(key) || 0;
+    if (count >= maxPerKey) {
+      return false;
+    }
+    counts.set(key, count + 1);
+    return true;
+  }
+
+  function release(key) {
+    const count = counts.get(key) || 0;
+    if (count <= 1) {
+      counts.delete(key);
+    } else {
+      counts.set(key, count - 1);
+    }
+  }
+
+  return {
+    acquire,
+    release,
+    count: key => counts.get(key) || 0
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  takeToken,
+  createEventLimiter,
+  createConnectionLimiter
+};
@@ -0,0 +1,72 @@
+// Game recording helpers. A game record keeps one entry per turn:
+//   { turnNumber, round, drawer, word, startedAt, endedAt, completed,
+//     events: [{ t, type, data }],   // 'draw', 'clear', 'undo', 'redo'
+//     guesses: [{ t, playerId, username, timeLeft, score }],
+//     chat: [{ t, message }] }
+// Every `t` is milliseconds since the turn started.
+
+const REPLAY_FORMAT_VERSION = 1;
+
+// Playback speeds allowed for watchReplay
+const REPLAY_SPEEDS = [1, 2, 4];
+
+function createTurnRecording({ turnNumber, round, drawer, word, now = Date.now() }) {
+  return {
+    turnNumber,
+    round,
+    drawer: { id: drawer.id, username: drawer.username },
+    word,
+    startedAt: now,
+    endedAt: null,
+    completed: false,
+    events: [],
+    guesses: [],
+    chat: []
+  };
+}
+
+function recordTurnEvent(turn, type, data, now = Date.now()) {
+  turn.events.push({ t: now - turn.startedAt, type, data });
+}
+
+function recordTurnGuess(turn, guess, now = Date.now()) {
+  turn.guesses.push({ t: now - turn.startedAt, ...guess });
+}
+
+function recordTurnChat(turn, message, now = Date.now()) {
+  turn.chat.push({ t: now - turn.startedAt, message });
+}
+
+// Merges drawing, guesses and chat into one time-ordered list for playback
+function buildTurnTimeline(turn) {
+  const timeline = [
+    ...turn.events,
+    ...turn.guesses.map(({ t, ...guess }) => ({ t, type: 'guess', data: guess })),
+    ...turn.chat.map(({ t, message }) => ({ t, type: 'chat', data: message }))
+  ];
+  // Array.prototype.sort is stable, so same-time entries keep their recorded order
+  return timeline.sort((a, b) => a.t - b.t);
+}
+
+function toReplayFile(game) {
+  return {
+    version: REPLAY_FORMAT_VERSION,
+    gameId: game.id,
+    roomId: game.roomId,
+    startedAt: game.startedAt,
+    endedAt: game.endedAt,
+    settings: game.settings,
+    results: game.results,
+    turns: game.turns
+  };
+}
+
+module.exports = {
+  REPLAY_SPEEDS,
+  createTurnRecording,
+  recordTurnEvent,
+  recordTurnGuess,
+  recordTurnChat,
+  buildTurnTimeline,
+  toReplayFile
+};
@@ -0,0 +1,98 @@
+// Turn scoring. A room scores with a list of rules; each rule may award points
+// when a guess is correct and when the turn ends. Rules return awards:
+//   [{ playerId, points, reason }]
+// Hooks receive:
+//   onCorrectGuess({ guesser, drawer, timeLeft, drawTime, guessIndex, multiplier })
+//   onTurnEnd({ drawer, guessers, eligibleCount, multiplier })
+// where guessIndex is 0 for the first correct guess, `guessers` lists the players
+// who guessed in order, and `drawer` may be null if the drawer has left.
+
+const SCORING_RULES = {};
+
+function registerScoringRule(name, rule) {
+  SCORING_RULES[name] = rule;
+}
+
+// Time-based guesser points, as the game has always scored them
+registerScoringRule('classic', {
+  description: 'Guessers earn 50 points plus up to 100 more the faster they guess',
+  onCorrectGuess({ guesser, timeLeft, drawTime, multiplier }) {
+    const points = Math.ceil(((timeLeft / drawTime) * 100 + 50) * multiplier);
+    return [{ playerId: guesser.id, points, reason: 'guess' }];
+  }
+});
+
+registerScoringRule('drawerReward', {
+  description: 'The drawer earns 25 points for every correct guess',
+  onCorrectGuess({ drawer, multiplier }) {
+    return drawer ? [{ playerId: drawer.id, points: Math.ceil(25 * multiplier), reason: 'drawerReward' }] : [];
+  }
+});
+
+registerScoringRule('guessOrderBonus', {
+  description: 'The first three correct guessers earn 50, 30 and 15 bonus points',
+  bonuses: [50, 30, 15],
+  onCorrectGuess({ guesser, guessIndex }) {
+    const bonus = this.bonuses[guessIndex];
+    return bonus ? [{ playerId: guesser.id, points: bonus, reason: 'guessOrderBonus' }] : [];
+  }
+});
+
+registerScoringRule('unguessedPenalty', {
+  description: 'The drawer loses 50 points if nobody guesses the word',
+  onTurnEnd({ drawer, guessers, eligibleCount }) {
+    if (!drawer || guessers.length > 0 || eligibleCount === 0) return [];
+    return [{ playerId: drawer.id, points: -50, reason: 'unguessedPenalty' }];
+  }
+});
+
+function getScoringRuleNames() {
+  return Object.keys(SCORING_RULES);
+}
+
+function describeScoringRules() {
+  return Object.entries(SCORING_RULES).map(([name, rule]) => ({ name, description: rule.description }));
+}
+
+function collectAwards(ruleNames, hook, context) {
+  const awards = [];
+  for (const name of ruleNames) {
+    const rule = SCORING_RULES[name];
+    if (rule && typeof rule[hook] === 'function') {
+      awards.push(...rule[hook](context));
+    }
+  }
+  return awards;
+}
+
+function scoreCorrectGuess(ruleNames, context) {
+  return collectAwards(ruleNames, 'onCorrectGuess', context);
+}
+
+function scoreTurnEnd(ruleNames, context) {
+  return collectAwards(ruleNames, 'onTurnEnd', context);
+}
+
+// Groups a turn's awards per player: [{ playerId, username, total, items: [{ reason, points }] }]
+function buildScoreBreakdown(awards, players) {
+  const byPlayer = new Map();
+  for (const { playerId, points, reason } of awards) {
+    if (!byPlayer.has(playerId)) {
+      const player = players.find(p => p.id === playerId);
+      byPlayer.set(playerId, { playerId, username: player ? player.username : null, total: 0, items: [] });
+    }
+    const entry = byPlayer.get(playerId);
+    entry.total += points;
+    entry.items.push({ reason, points });
+  }
+  return Array.from(byPlayer.values()).sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  registerScoringRule,
+  getScoringRuleNames,
+  describeScoringRules,
+  scoreCorrectGuess,
+  scoreTurnEnd,
+  buildScoreBreakdown
+};
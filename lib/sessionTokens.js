@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signed session tokens that prove a client owns its clientId.
+//
+// A token is `<payload>.<signature>`: the payload is base64url JSON
+// `{ clientId, expiresAt }` and the signature its base64url HMAC-SHA256 under the
+// server secret. Tokens carry everything needed to check them, so any node that
+// shares the secret can verify one without a lookup.
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// { token, expiresAt } for `clientId`, valid for `ttl` ms
+function createSessionToken(clientId, secret, ttl, now = Date.now()) {
+  const expiresAt = now + ttl;
+  const payload = Buffer.from(JSON.stringify({ clientId, expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+// The clientId a token was issued for, or null if it is malformed, forged or expired
+function verifySessionToken(token, secret, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const provided = Buffer.from(signature);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  if (!claims || typeof claims.clientId !== 'string' || !(claims.expiresAt > now)) {
+    return null;
+  }
+  return claims.clientId;
+}
+
+// The secret kept in `filePath`, generated and written there on first use so
+// tokens signed with it outlive a restart
+function loadSessionSecret(filePath) {
+  try {
+    const secret = fs.readFileSync(filePath, 'utf8').trim();
+    if (secret) return secret;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, secret, { mode: 0o600 });
+  return secret;
+}
+
+module.exports = {
+  createSessionToken,
+  verifySessionToken,
+  loadSessionSecret
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+// A state store persists a plain JSON snapshot of the server state.
+// Every backend implements the same two async methods:
+//   load()          -> resolves to the last saved snapshot, or null
+//   save(snapshot)  -> resolves once the snapshot is durable
+// saveSync(snapshot) is optional and only used while shutting down.
+
+class MemoryStateStore {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  async load() {
+    return this.snapshot ? JSON.parse(this.snapshot) : null;
+  }
+
+  async save(snapshot) {
+    this.snapshot = JSON.stringify(snapshot);
+  }
+
+  saveSync(snapshot) {
+    this.snapshot = JSON.stringify(snapshot);
+  }
+}
+
+class FileStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tempPath = `${filePath}.tmp`;
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  async save(snapshot) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves a torn snapshot
+    await fs.promises.writeFile(this.tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(this.tempPath, this.filePath);
+  }
+
+  saveSync(snapshot) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.tempPath, JSON.stringify(snapshot));
+    fs.renameSync(this.tempPath, this.filePath);
+  }
+}
+
+function createStateStore({ type = 'file', filePath } = {}) {
+  switch (type) {
+    case 'file':
+      return new FileStateStore(filePath);
+    case 'memory':
+      return new MemoryStateStore();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  FileStateStore,
+  MemoryStateStore
+};
@@ -0,0 +1,223 @@
+// Binary stroke protocol, version 1.
+//
+// A message is a batch of drawing ops:
+//   u8      protocol version (1)
+//   u16 LE  coordinate scale; coordinates travel as round(value * scale)
+//   varint  op count
+// followed by each op:
+//   u8      op type (1 = polyline, 2 = fill)
+//   varint  strokeId (0 when the sender leaves it to the server)
+//   u8      color byte length, then the UTF-8 color string
+//   polyline: varint width * scale, varint point count, zigzag x0, zigzag y0,
+//             then zigzag deltas (dx, dy) for every following point
+//   fill:     zigzag x, zigzag y
+// All varints are unsigned LEB128; signed values are zigzag encoded first.
+
+const PROTOCOL_VERSION = 1;
+const OP_POLYLINE = 1;
+const OP_FILL = 2;
+const DEFAULT_SCALE = 10;
+const MAX_OPS = 256;
+const MAX_POINTS = 4096;
+
+class StrokeDecodeError extends Error {}
+
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+class Writer {
+  constructor() {
+    this.bytes = [];
+  }
+
+  u8(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  u16(value) {
+    this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  varint(value) {
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  string(value) {
+    const encoded = Buffer.from(value, 'utf8').subarray(0, 255);
+    this.u8(encoded.length);
+    for (const byte of encoded) {
+      this.bytes.push(byte);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new StrokeDecodeError('Stroke message is truncated');
+    }
+  }
+
+  u8() {
+    this.ensure(1);
+    return this.buffer[this.offset++];
+  }
+
+  u16() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  varint() {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 8; i++) {
+      const byte = this.u8();
+      value += (byte & 0x7f) * multiplier;
+      if ((byte & 0x80) === 0) {
+        return value;
+      }
+      multiplier *= 0x80;
+    }
+    throw new StrokeDecodeError('Varint is too long');
+  }
+
+  string() {
+    const length = this.u8();
+    this.ensure(length);
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
+function isBinaryStroke(data) {
+  return toBuffer(data) !== null;
+}
+
+// ops: [{ type: 'polyline', strokeId, color, width, points: [x0, y0, ...] }
+//       | { type: 'fill', strokeId, color, x, y }]
+function encodeStrokes(ops, { scale = DEFAULT_SCALE } = {}) {
+  const writer = new Writer();
+  const quantize = value => Math.round(value * scale);
+  writer.u8(PROTOCOL_VERSION);
+  writer.u16(scale);
+  writer.varint(ops.length);
+  for (const op of ops) {
+    writer.u8(op.type === 'fill' ? OP_FILL : OP_POLYLINE);
+    writer.varint(op.strokeId || 0);
+    writer.string(op.color || '');
+    if (op.type === 'fill') {
+      writer.varint(zigzag(quantize(op.x)));
+      writer.varint(zigzag(quantize(op.y)));
+      continue;
+    }
+    writer.varint(Math.max(0, quantize(op.width || 0)));
+    const pointCount = op.points.length / 2;
+    writer.varint(pointCount);
+    let prevX = 0;
+    let prevY = 0;
+    for (let i = 0; i < op.points.length; i += 2) {
+      const x = quantize(op.points[i]);
+      const y = quantize(op.points[i + 1]);
+      writer.varint(zigzag(x - prevX));
+      writer.varint(zigzag(y - prevY));
+      prevX = x;
+      prevY = y;
+    }
+  }
+  return writer.toBuffer();
+}
+
+function decodeStrokes(data) {
+  const buffer = toBuffer(data);
+  if (!buffer) {
+    throw new StrokeDecodeError('Stroke message must be binary');
+  }
+  const reader = new Reader(buffer);
+  const version = reader.u8();
+  if (version !== PROTOCOL_VERSION) {
+    throw new StrokeDecodeError(`Unsupported stroke protocol version: ${version}`);
+  }
+  const scale = reader.u16();
+  if (scale === 0) {
+    throw new StrokeDecodeError('Coordinate scale must be positive');
+  }
+  const opCount = reader.varint();
+  if (opCount > MAX_OPS) {
+    throw new StrokeDecodeError(`Too many ops in one message: ${opCount}`);
+  }
+  const ops = [];
+  for (let i = 0; i < opCount; i++) {
+    const opType = reader.u8();
+    const strokeId = reader.varint();
+    const color = reader.string();
+    if (opType === OP_FILL) {
+      ops.push({
+        type: 'fill',
+        strokeId,
+        color,
+        x: unzigzag(reader.varint()) / scale,
+        y: unzigzag(reader.varint()) / scale
+      });
+      continue;
+    }
+    if (opType !== OP_POLYLINE) {
+      throw new StrokeDecodeError(`Unknown op type: ${opType}`);
+    }
+    const width = reader.varint() / scale;
+    const pointCount = reader.varint();
+    if (pointCount > MAX_POINTS) {
+      throw new StrokeDecodeError(`Too many points in one polyline: ${pointCount}`);
+    }
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let p = 0; p < pointCount; p++) {
+      x += unzigzag(reader.varint());
+      y += unzigzag(reader.varint());
+      points.push(x / scale, y / scale);
+    }
+    ops.push({ type: 'polyline', strokeId, color, width, points });
+  }
+  if (reader.offset !== buffer.length) {
+    throw new StrokeDecodeError('Unexpected trailing bytes in stroke message');
+  }
+  return { version, scale, ops };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  StrokeDecodeError,
+  encodeStrokes,
+  decodeStrokes,
+  isBinaryStroke
+};
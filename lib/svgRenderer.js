@@ -0,0 +1,210 @@
+const { compactCanvas } = require('./canvas');
+
+// Renders a recorded turn to SVG. Strokes become vector paths. Flood fills have no
+// vector equivalent, so strokes are also rasterized onto a coarse grid and each
+// fill is flood-filled there and emitted as a path of horizontal runs.
+
+const DEFAULT_OPTIONS = {
+  width: 800,
+  height: 600,
+  background: '#ffffff',
+  fillResolution: 2   // Canvas pixels per fill-grid cell
+};
+
+const SAFE_COLOR = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]{1,20}|rgba?\([\d\s.,%]+\)|hsla?\([\d\s.,%deg]+\))$/;
+
+function safeColor(color, fallback = '#000000') {
+  return typeof color === 'string' && SAFE_COLOR.test(color.trim()) ? color.trim() : fallback;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Applies a turn's draw/clear/undo/redo events and returns the entries left on canvas
+function resolveCanvas(events) {
+  let entries = [];
+  const redoStack = [];
+  for (const event of events) {
+    if (event.type === 'draw') {
+      entries.push(event.data);
+    } else if (event.type === 'clear') {
+      entries = [];
+      redoStack.length = 0;
+    } else if (event.type === 'undo') {
+      const { strokeId } = event.data;
+      redoStack.push(entries.filter(entry => entry.strokeId === strokeId));
+      entries = entries.filter(entry => entry.strokeId !== strokeId);
+    } else if (event.type === 'redo' && redoStack.length > 0) {
+      entries.push(...redoStack.pop());
+    }
+  }
+  return entries;
+}
+
+// Clients may send pixel or normalized (0..1) coordinates
+function getCoordinateScale(ops, width, height) {
+  let max = 0;
+  for (const op of ops) {
+    const values = op.type === 'path' ? op.points : [op.x, op.y];
+    for (const value of values) {
+      max = Math.max(max, Math.abs(value));
+    }
+  }
+  return max > 0 && max <= 1.5 ? { x: width, y: height } : { x: 1, y: 1 };
+}
+
+function getStrokeWidth(style) {
+  const width = style.lineWidth ?? style.width ?? style.size ?? style.brushSize;
+  return Number.isFinite(width) && width > 0 ? width : 4;
+}
+
+class FillGrid {
+  constructor(width, height, resolution) {
+    this.resolution = resolution;
+    this.cols = Math.ceil(width / resolution);
+    this.rows = Math.ceil(height / resolution);
+    this.cells = new Uint16Array(this.cols * this.rows);
+    this.colors = ['background'];
+  }
+
+  colorIndex(color) {
+    let index = this.colors.indexOf(color);
+    if (index === -1) {
+      index = this.colors.length;
+      this.colors.push(color);
+    }
+    return index;
+  }
+
+  stampDisc(cx, cy, radius, value) {
+    const minCol = Math.max(0, Math.floor(cx - radius));
+    const maxCol = Math.min(this.cols - 1, Math.ceil(cx + radius));
+    const minRow = Math.max(0, Math.floor(cy - radius));
+    const maxRow = Math.min(this.rows - 1, Math.ceil(cy + radius));
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if ((col + 0.5 - cx) ** 2 + (row + 0.5 - cy) ** 2 <= radius * radius) {
+          this.cells[row * this.cols + col] = value;
+        }
+      }
+    }
+  }
+
+  drawPath(points, strokeWidth, color) {
+    const value = this.colorIndex(color);
+    const radius = Math.max(0.5, strokeWidth / 2 / this.resolution);
+    for (let i = 0; i < points.length; i += 2) {
+      const x1 = points[i] / this.resolution;
+      const y1 = points[i + 1] / this.resolution;
+      const x0 = i === 0 ? x1 : points[i - 2] / this.resolution;
+      const y0 = i === 0 ? y1 : points[i - 1] / this.resolution;
+      const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 2));
+      for (let step = 0; step <= steps; step++) {
+        const t = step / steps;
+        this.stampDisc(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius, value);
+      }
+    }
+  }
+
+  // Flood-fills the region under (x, y) and returns it as an SVG path of runs
+  fill(x, y, color) {
+    const col = Math.floor(x / this.resolution);
+    const row = Math.floor(y / this.resolution);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return '';
+    const value = this.colorIndex(color);
+    const target = this.cells[row * this.cols + col];
+    if (target === value) return '';
+    const stack = [row * this.cols + col];
+    this.cells[stack[0]] = value;
+    const filled = new Uint8Array(this.cells.length);
+    filled[stack[0]] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const c = index % this.cols;
+      const neighbours = [
+        c > 0 ? index - 1 : -1,
+        c < this.cols - 1 ? index + 1 : -1,
+        index - this.cols,
+        index + this.cols
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && next < this.cells.length && this.cells[next] === target) {
+          this.cells[next] = value;
+          filled[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+    return this.runsToPath(filled);
+  }
+
+  runsToPath(filled) {
+    const parts = [];
+    const size = this.resolution;
+    for (let r = 0; r < this.rows; r++) {
+      let start = -1;
+      for (let c = 0; c <= this.cols; c++) {
+        const isFilled = c < this.cols && filled[r * this.cols + c] === 1;
+        if (isFilled && start === -1) {
+          start = c;
+        } else if (!isFilled && start !== -1) {
+          parts.push(`M${start * size} ${r * size}h${(c - start) * size}v${size}h${-(c - start) * size}z`);
+          start = -1;
+        }
+      }
+    }
+    return parts.join('');
+  }
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function renderSvg(entries, options = {}) {
+  const { width, height, background, fillResolution } = { ...DEFAULT_OPTIONS, ...options };
+  const ops = compactCanvas(entries, { maxPoints: Infinity });
+  const scale = getCoordinateScale(ops, width, height);
+  const grid = new FillGrid(width, height, fillResolution);
+  const elements = [];
+  for (const op of ops) {
+    if (op.type === 'fill') {
+      const color = safeColor(op.color);
+      const d = grid.fill(op.x * scale.x, op.y * scale.y, color);
+      if (d) {
+        elements.push(`<path d="${d}" fill="${escapeXml(color)}"/>`);
+      }
+      continue;
+    }
+    const color = safeColor(op.style.color);
+    const strokeWidth = getStrokeWidth(op.style);
+    const points = op.points.map((value, i) => value * (i % 2 === 0 ? scale.x : scale.y));
+    grid.drawPath(points, strokeWidth, color);
+    const d = points.reduce((path, value, i) => {
+      if (i % 2 === 1) return path;
+      return `${path}${i === 0 ? 'M' : 'L'}${formatNumber(value)} ${formatNumber(points[i + 1])}`;
+    }, '');
+    elements.push(`<path d="${d}" fill="none" stroke="${escapeXml(color)}" stroke-width="${formatNumber(strokeWidth)}" stroke-linecap="round" stroke-linejoin="round"/>`);
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${escapeXml(safeColor(background, '#ffffff'))}"/>`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+function renderTurnSvg(turn, options) {
+  return renderSvg(resolveCanvas(turn.events), options);
+}
+
+module.exports = {
+  renderSvg,
+  renderTurnSvg,
+  resolveCanvas
+};
@@ -0,0 +1,105 @@
+// Teams mode helpers. Teams are fixed slots; a room plays with the first
+// `teamCount` of them and players carry the id of their team in `teamId`.
+// Team scores are the sum of their members' scores.
+
+const TEAMS = [
+  { id: 'red', name: 'Red' },
+  { id: 'blue', name: 'Blue' },
+  { id: 'green', name: 'Green' },
+  { id: 'yellow', name: 'Yellow' }
+];
+
+// 'opponents': only the other teams can guess the drawing; 'teammates': only the drawer's own team can
+const TEAM_SCORING_MODES = ['opponents', 'teammates'];
+
+function getActiveTeams(teamCount) {
+  return TEAMS.slice(0, teamCount);
+}
+
+// Puts every player on one of the active teams, keeping valid assignments unless
+// `reshuffle` is set, then evens out team sizes so no two differ by more than one
+function balanceTeams(players, teamCount, { reshuffle = false } = {}) {
+  const teamIds = getActiveTeams(teamCount).map(team => team.id);
+  const members = new Map(teamIds.map(id => [id, []]));
+  const unassigned = [];
+  const ordered = reshuffle ? [...players].sort(() => 0.5 - Math.random()) : players;
+  for (const player of ordered) {
+    if (!reshuffle && members.has(player.teamId)) {
+      members.get(player.teamId).push(player);
+    } else {
+      unassigned.push(player);
+    }
+  }
+  const smallest = () => teamIds.reduce((min, id) => (members.get(id).length < members.get(min).length ? id : min));
+  const largest = () => teamIds.reduce((max, id) => (members.get(id).length > members.get(max).length ? id : max));
+  for (const player of unassigned) {
+    members.get(smallest()).push(player);
+  }
+  while (members.get(largest()).length - members.get(smallest()).length > 1) {
+    members.get(smallest()).push(members.get(largest()).pop());
+  }
+  for (const [teamId, teamPlayers] of members) {
+    teamPlayers.forEach(player => {
+      player.teamId = teamId;
+    });
+  }
+}
+
+function canGuessInTeams(teamScoring, drawer, player) {
+  if (!drawer || !player.teamId) return false;
+  const sameTeam = player.teamId === drawer.teamId;
+  return teamScoring === 'teammates' ? sameTeam : !sameTeam;
+}
+
+// Picks the next drawer from the team after `lastTeamId` that still has someone
+// eligible, so turns alternate between teams
+function pickTeamDrawer(eligibleDrawers, teamCount, lastTeamId) {
+  const teamIds = getActiveTeams(teamCount).map(team => team.id);
+  const start = teamIds.indexOf(lastTeamId) + 1;
+  for (let i = 0; i < teamIds.length; i++) {
+    const teamId = teamIds[(start + i) % teamIds.length];
+    const candidates = eligibleDrawers.filter(player => player.teamId === teamId);
+    if (candidates.length > 0) {
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+  }
+  return eligibleDrawers[Math.floor(Math.random() * eligibleDrawers.length)];
+}
+
+// [{ id, name, players: [playerId], score, turnPoints }], highest score first
+function getTeamStandings(players, teamCount, scoreBreakdown = []) {
+  return getActiveTeams(teamCount)
+    .map(team => {
+      const members = players.filter(player => player.teamId === team.id);
+      const memberIds = members.map(player => player.id);
+      return {
+        ...team,
+        players: memberIds,
+        score: members.reduce((total, player) => total + player.score, 0),
+        turnPoints: scoreBreakdown
+          .filter(entry => memberIds.includes(entry.playerId))
+          .reduce((total, entry) => total + entry.total, 0)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Payload of the teamsUpdated event
+function getTeamsUpdate(room) {
+  return {
+    teamCount: room.teamCount,
+    teams: getTeamStandings(room.players, room.teamCount),
+    players: room.players
+  };
+}
+
+module.exports = {
+  TEAMS,
+  TEAM_SCORING_MODES,
+  getActiveTeams,
+  balanceTeams,
+  canGuessInTeams,
+  pickTeamDrawer,
+  getTeamStandings,
+  getTeamsUpdate
+};
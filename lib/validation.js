@@ -0,0 +1,207 @@
+// Minimal declarative payload validation. A schema is built from the helpers
+// below and checked with validate(), which returns either
+//   { ok: true, value }            // a sanitized copy: strings trimmed, defaults applied,
+//                                  // unknown object keys dropped
+//   { ok: false, errors }          // [{ path, code, message }]
+
+const ERROR_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  TOO_SHORT: 'TOO_SHORT',
+  TOO_LONG: 'TOO_LONG',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_VALUE: 'INVALID_VALUE'
+};
+
+function string(options = {}) {
+  return { type: 'string', ...options };
+}
+
+function number(options = {}) {
+  return { type: 'number', ...options };
+}
+
+function integer(options = {}) {
+  return { type: 'number', integer: true, ...options };
+}
+
+function boolean(options = {}) {
+  return { type: 'boolean', ...options };
+}
+
+// `values` may be a function returning them, for sets that grow at runtime
+function oneOf(values, options = {}) {
+  return { type: 'enum', values, ...options };
+}
+
+function object(fields, options = {}) {
+  return { type: 'object', fields, ...options };
+}
+
+function array(items, options = {}) {
+  return { type: 'array', items, ...options };
+}
+
+function binary(options = {}) {
+  return { type: 'binary', ...options };
+}
+
+// Picks the schema to apply from the value itself, e.g. for tagged unions.
+// `select` returns a schema, or null when the value matches no variant.
+function variant(select, options = {}) {
+  return { type: 'variant', select, ...options };
+}
+
+function fail(errors, path, code, message) {
+  errors.push({ path: path || '(payload)', code, message: `${path || 'Payload'} ${message}` });
+}
+
+function isBinary(value) {
+  return Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function checkString(schema, value, path, errors) {
+  if (typeof value !== 'string') {
+    fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be a string');
+    return undefined;
+  }
+  let result = schema.trim ? value.trim() : value;
+  if (schema.uppercase) {
+    result = result.toUpperCase();
+  }
+  if (schema.max !== undefined && result.length > schema.max) {
+    if (!schema.truncate) {
+      fail(errors, path, ERROR_CODES.TOO_LONG, `must be at most ${schema.max} characters`);
+      return undefined;
+    }
+    result = result.substring(0, schema.max).trim();
+  }
+  if (schema.min !== undefined && result.length < schema.min) {
+    fail(errors, path, ERROR_CODES.TOO_SHORT, schema.min === 1 ? 'cannot be empty' : `must be at least ${schema.min} characters`);
+    return undefined;
+  }
+  if (schema.pattern && !schema.pattern.test(result)) {
+    fail(errors, path, ERROR_CODES.INVALID_FORMAT, 'has an invalid format');
+    return undefined;
+  }
+  return result;
+}
+
+function checkNumber(schema, value, path, errors) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be a number');
+    return undefined;
+  }
+  if (schema.integer && !Number.isInteger(value)) {
+    fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be an integer');
+    return undefined;
+  }
+  if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+    fail(errors, path, ERROR_CODES.OUT_OF_RANGE, `must be between ${schema.min ?? '-∞'} and ${schema.max ?? '∞'}`);
+    return undefined;
+  }
+  return value;
+}
+
+function checkObject(schema, value, path, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || isBinary(value)) {
+    fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be an object');
+    return undefined;
+  }
+  const result = {};
+  for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+    const fieldValue = check(fieldSchema, value[key], path ? `${path}.${key}` : key, errors);
+    if (fieldValue !== undefined) {
+      result[key] = fieldValue;
+    }
+  }
+  return result;
+}
+
+function check(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (schema.default !== undefined) return schema.default;
+    if (!schema.optional) {
+      fail(errors, path, ERROR_CODES.REQUIRED, 'is required');
+    }
+    return undefined;
+  }
+  switch (schema.type) {
+    case 'string':
+      return checkString(schema, value, path, errors);
+    case 'number':
+      return checkNumber(schema, value, path, errors);
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be a boolean');
+        return undefined;
+      }
+      return value;
+    case 'enum': {
+      const values = typeof schema.values === 'function' ? schema.values() : schema.values;
+      if (!values.includes(value)) {
+        fail(errors, path, ERROR_CODES.INVALID_VALUE, `must be one of: ${values.join(', ')}`);
+        return undefined;
+      }
+      return value;
+    }
+    case 'object':
+      return checkObject(schema, value, path, errors);
+    case 'array': {
+      if (!Array.isArray(value)) {
+        fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be an array');
+        return undefined;
+      }
+      if (schema.min !== undefined && value.length < schema.min) {
+        fail(errors, path, ERROR_CODES.TOO_SHORT, `must have at least ${schema.min} item${schema.min === 1 ? '' : 's'}`);
+        return undefined;
+      }
+      if (schema.max !== undefined && value.length > schema.max) {
+        fail(errors, path, ERROR_CODES.TOO_LONG, `must have at most ${schema.max} items`);
+        return undefined;
+      }
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+    case 'binary':
+      if (!isBinary(value)) {
+        fail(errors, path, ERROR_CODES.INVALID_TYPE, 'must be binary');
+        return undefined;
+      }
+      if (schema.maxBytes !== undefined && value.byteLength > schema.maxBytes) {
+        fail(errors, path, ERROR_CODES.TOO_LONG, `must be at most ${schema.maxBytes} bytes`);
+        return undefined;
+      }
+      return value;
+    case 'variant': {
+      const selected = schema.select(value);
+      if (!selected) {
+        fail(errors, path, ERROR_CODES.INVALID_VALUE, schema.message || 'is not a recognised shape');
+        return undefined;
+      }
+      return check(selected, value, path, errors);
+    }
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  const result = check(schema, value, '', errors);
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value: result };
+}
+
+module.exports = {
+  ERROR_CODES,
+  string,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  object,
+  array,
+  binary,
+  variant,
+  validate
+};
@@ -0,0 +1,127 @@
+// Detects the current word in chat so drawers and correct guessers can't give it away.
+// Messages are split into tokens and normalized (case, accents, leetspeak, repeated
+// letters). A leak is a token that contains the word, a token that is a near-miss
+// spelling of it, or a run of tokens that spells it once joined ("c a t", "c-a-t",
+// "ice cream" for "icecream").
+
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e'
+};
+const TOKEN_PATTERN = /[\p{L}\p{N}@$!|+€]+/gu;
+const MAX_WINDOW = 30;
+
+function levenshteinDistance(a, b) {
+  const matrix = [];
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i-1) === a.charAt(j-1)) {
+        matrix[i][j] = matrix[i-1][j-1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i-1][j-1] + 1,
+          matrix[i][j-1] + 1,
+          matrix[i-1][j] + 1
+        );
+      }
+    }
+  }
+  return matrix[b.length][a.length];
+}
+
+function normalizeToken(token) {
+  return token
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split('')
+    .map(char => LEET_MAP[char] || char)
+    .join('')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function squeezeRepeats(value) {
+  return value.replace(/(.)\1+/gu, '$1');
+}
+
+// Spelling mistakes tolerated before a candidate stops counting as the word
+function getNearMissDistance(word) {
+  if (word.length >= 9) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+}
+
+function matchesWord(candidate, target, allowContains) {
+  if (!candidate) return false;
+  if (candidate === target.word || candidate === target.squeezed) return true;
+  if (squeezeRepeats(candidate) === target.squeezed) return true;
+  // Short words show up inside too many unrelated words to match on containment
+  if (allowContains && target.word.length >= 4 && candidate.includes(target.word)) return true;
+  return target.maxDistance > 0 &&
+    Math.abs(candidate.length - target.word.length) <= target.maxDistance &&
+    levenshteinDistance(candidate, target.word) <= target.maxDistance;
+}
+
+// Returns the [start, end) spans of `message` that give away `word`
+function findWordLeaks(message, word) {
+  const normalizedWord = normalizeToken(word || '');
+  if (typeof message !== 'string' || !normalizedWord) return [];
+  const target = {
+    word: normalizedWord,
+    squeezed: squeezeRepeats(normalizedWord),
+    maxDistance: getNearMissDistance(normalizedWord)
+  };
+  const tokens = [];
+  for (const match of message.matchAll(TOKEN_PATTERN)) {
+    tokens.push({ start: match.index, end: match.index + match[0].length, value: normalizeToken(match[0]) });
+  }
+  const spans = [];
+  const maxWindow = Math.min(MAX_WINDOW, target.word.length);
+  for (let i = 0; i < tokens.length; i++) {
+    let joined = '';
+    for (let j = i; j < tokens.length && j - i < maxWindow; j++) {
+      joined += tokens[j].value;
+      if (joined.length > target.word.length + target.maxDistance + 1 && j > i) break;
+      if (matchesWord(joined, target, j === i)) {
+        spans.push({ start: tokens[i].start, end: tokens[j].end });
+        break;
+      }
+    }
+  }
+  return mergeSpans(spans);
+}
+
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of spans.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+function redactSpans(message, spans, mask = '*') {
+  let result = '';
+  let offset = 0;
+  for (const { start, end } of spans) {
+    result += message.slice(offset, start) + mask.repeat(end - start);
+    offset = end;
+  }
+  return result + message.slice(offset);
+}
+
+module.exports = {
+  levenshteinDistance,
+  findWordLeaks,
+  redactSpans
+};
@@ -0,0 +1,149 @@
+// Per-word gameplay statistics and the difficulty tiers derived from them.
+// Stats are an object without a prototype, so any word is a safe key, and checkpoint as JSON:
+//   { [word]: { offered, picked, played, opportunities, guessed, guessTime, guessFraction } }
+// `played` counts finished turns with the word, `opportunities` the guessers those
+// turns had, and `guessTime` / `guessFraction` sum the seconds and the share of the
+// draw time each correct guess took.
+
+const TIERS = ['easy', 'medium', 'hard'];
+const MIN_SAMPLES = 3;          // Played turns before a word's tier comes from its stats
+const EASY_BELOW = 0.35;
+const HARD_FROM = 0.6;
+
+function getKey(word) {
+  return String(word).trim().toLowerCase();
+}
+
+// Stats for a checkpoint's saved words, or none
+function createWordStats(saved = {}) {
+  return Object.assign(Object.create(null), saved);
+}
+
+function findEntry(stats, key) {
+  return Object.prototype.hasOwnProperty.call(stats, key) ? stats[key] : null;
+}
+
+function getEntry(stats, word) {
+  const key = getKey(word);
+  if (!findEntry(stats, key)) {
+    stats[key] = { offered: 0, picked: 0, played: 0, opportunities: 0, guessed: 0, guessTime: 0, guessFraction: 0 };
+  }
+  return stats[key];
+}
+
+function recordOffered(stats, words) {
+  words.forEach(word => {
+    getEntry(stats, word).offered++;
+  });
+}
+
+function recordPicked(stats, word) {
+  getEntry(stats, word).picked++;
+}
+
+function recordGuessed(stats, word, seconds, drawTime) {
+  const entry = getEntry(stats, word);
+  entry.guessed++;
+  entry.guessTime += seconds;
+  entry.guessFraction += drawTime > 0 ? Math.min(1, seconds / drawTime) : 1;
+}
+
+function recordPlayed(stats, word, opportunities) {
+  const entry = getEntry(stats, word);
+  entry.played++;
+  entry.opportunities += opportunities;
+}
+
+// Words without enough play yet are judged by their shape
+function getHeuristicTier(word) {
+  const parts = String(word).trim().split(/\s+/);
+  const letters = parts.join('').length;
+  if (letters >= 9 || parts.length >= 3) return 'hard';
+  if (letters <= 5 && parts.length === 1) return 'easy';
+  return 'medium';
+}
+
+// 0 (everyone gets it fast) to 1 (nobody gets it, drawers avoid it)
+function getDifficultyScore(entry) {
+  const guessRate = entry.opportunities > 0 ? Math.min(1, entry.guessed / entry.opportunities) : 0;
+  const averageFraction = entry.guessed > 0 ? entry.guessFraction / entry.guessed : 1;
+  const pickRate = entry.offered > 0 ? entry.picked / entry.offered : 0.5;
+  return 0.5 * (1 - guessRate) + 0.3 * averageFraction + 0.2 * (1 - pickRate);
+}
+
+function getWordTier(stats, word) {
+  const entry = findEntry(stats, getKey(word));
+  if (!entry || entry.played < MIN_SAMPLES) {
+    return getHeuristicTier(word);
+  }
+  const score = getDifficultyScore(entry);
+  if (score < EASY_BELOW) return 'easy';
+  if (score >= HARD_FROM) return 'hard';
+  return 'medium';
+}
+
+// Picks one unused word per tier, in tier order, topping up from any tier when
+// the pool has none left for one. Starts over once the pool runs out.
+function pickWordsByTier(pool, usedWords, stats) {
+  const used = new Set(usedWords);
+  let available = pool.filter(word => !used.has(word));
+  if (available.length < TIERS.length) {
+    usedWords.length = 0;
+    available = [...pool];
+  }
+  const shuffled = [...available].sort(() => 0.5 - Math.random());
+  const selected = [];
+  for (const tier of TIERS) {
+    const word = shuffled.find(candidate => !selected.includes(candidate) && getWordTier(stats, candidate) === tier);
+    if (word) {
+      selected.push(word);
+    }
+  }
+  for (const word of shuffled) {
+    if (selected.length >= TIERS.length) break;
+    if (!selected.includes(word)) {
+      selected.push(word);
+    }
+  }
+  usedWords.push(...selected);
+  return selected;
+}
+
+function describeWordStats(stats, word) {
+  const key = getKey(word);
+  const entry = findEntry(stats, key);
+  if (!entry) return null;
+  return {
+    word: key,
+    tier: getWordTier(stats, key),
+    sampled: entry.played >= MIN_SAMPLES,
+    offered: entry.offered,
+    picked: entry.picked,
+    played: entry.played,
+    guessed: entry.guessed,
+    pickRate: entry.offered > 0 ? entry.picked / entry.offered : null,
+    guessRate: entry.opportunities > 0 ? entry.guessed / entry.opportunities : null,
+    averageGuessTime: entry.guessed > 0 ? entry.guessTime / entry.guessed : null
+  };
+}
+
+function listWordStats(stats, { tier, limit = 100 } = {}) {
+  return Object.keys(stats)
+    .map(word => describeWordStats(stats, word))
+    .filter(entry => !tier || entry.tier === tier)
+    .sort((a, b) => b.played - a.played || b.offered - a.offered)
+    .slice(0, limit);
+}
+
+module.exports = {
+  TIERS,
+  createWordStats,
+  recordOffered,
+  recordPicked,
+  recordGuessed,
+  recordPlayed,
+  getWordTier,
+  pickWordsByTier,
+  describeWordStats,
+  listWordStats
+};
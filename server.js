@@ -5,36 +5,178 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
-
-const app = express();
-
-app.use(cors({
-  origin: true,
-  credentials: true
-}));
-
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
-
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
-
-app.get('/', (req, res) => {
-  res.send('well what are you doing here?');
-});
+const crypto = require('crypto');
+const { createStateStore } = require('./lib/stateStore');
+const { createCluster } = require('./lib/cluster');
+const { compactCanvas, getSegmentStyle } = require('./lib/canvas');
+const { PROTOCOL_VERSION, StrokeDecodeError, encodeStrokes, decodeStrokes, isBinaryStroke } = require('./lib/strokeCodec');
+const {
+  createTurnRecording,
+  recordTurnEvent,
+  recordTurnGuess,
+  recordTurnChat,
+  buildTurnTimeline,
+  toReplayFile
+} = require('./lib/replay');
+const { renderTurnSvg } = require('./lib/svgRenderer');
+const { loadBlocklist, moderateMessage, mutePlayer, unmutePlayer } = require('./lib/chatModeration');
+const { validate } = require('./lib/validation');
+const { EVENT_SCHEMAS } = require('./lib/eventSchemas');
+const { createEventLimiter, createConnectionLimiter } = require('./lib/rateLimiter');
+const { findWordLeaks, redactSpans } = require('./lib/wordLeak');
+const {
+  DictionaryError,
+  loadDictionaries,
+  getWordPool,
+  getDictionaryWords,
+  describeDictionaries
+} = require('./lib/dictionaries');
+const {
+  TIERS,
+  createWordStats,
+  recordOffered,
+  recordPicked,
+  recordGuessed,
+  recordPlayed,
+  getWordTier,
+  pickWordsByTier,
+  describeWordStats,
+  listWordStats
+} = require('./lib/wordStats');
+const {
+  getScoringRuleNames,
+  describeScoringRules
+} = require('./lib/scoring');
+const { getActiveTeams, balanceTeams, getTeamsUpdate } = require('./lib/teams');
+const { getGameMode, describeGameModes, parseCustomWords } = require('./lib/gameModes');
+const { isGameInProgress, createGameEngine } = require('./lib/gameEngine');
+const { createSessionToken, verifySessionToken, loadSessionSecret } = require('./lib/sessionTokens');
+const {
+  LEADERBOARD_PERIODS,
+  recordGameResults,
+  getProfileId,
+  describeProfile,
+  getLeaderboard
+} = require('./lib/profiles');
 
 const SERVER_CONFIG = {
   MAINTENANCE_MODE: false,        // Set to true to put server in maintenance mode
   DISABLE_USERNAME_EDIT: true,   // Set to true to prevent players from changing default usernames
   FORCE_PRIVATE_ROOMS: false,     // Set to true to disable public rooms
   MAX_PLAYERS_PER_ROOM: 50,       // Maximum players allowed per room
+  MAX_SPECTATORS_PER_ROOM: 20,    // Spectators allowed per room, on top of its players
+  DRAWER_RECONNECT_GRACE: 20,     // Seconds a turn waits for its disconnected drawer (0 skips it at once)
   CUSTOM_WORDS_ENABLED: true,     // Set to false to disable custom words
   MAINTENANCE_MESSAGE: "The server is currently undergoing maintenance. Please try again later.",
   VERSION: "1.0.0"                // Current server version
 };
 
+const ADMIN_CONFIG = {
+  TOKEN: process.env.ADMIN_TOKEN || '',   // Admin API is disabled unless a token is set
+  READ_ONLY_KEYS: ['VERSION'],            // SERVER_CONFIG keys that can't be patched at runtime
+  MAX_PLAYERS_LIMIT: 100                  // Upper bound for MAX_PLAYERS_PER_ROOM
+};
+
+const CANVAS_CONFIG = {
+  COMPACT_THRESHOLD: 200,       // Raw history entries kept before folding them into the snapshot
+  MAX_SNAPSHOT_POINTS: 5000,    // Upper bound on points in the compacted canvas snapshot
+  BATCH_INTERVAL: 50            // Drawing events are batched and broadcast once per tick (ms)
+};
+
+const CHAT_CONFIG = {
+  MAX_MESSAGE_LENGTH: 200,      // Longest chat message accepted
+  RATE_LIMIT: 5,                // Messages a player may send per RATE_WINDOW
+  RATE_WINDOW: 5000,            // (ms)
+  MAX_DUPLICATES: 2,            // Identical messages allowed in a row within DUPLICATE_WINDOW
+  DUPLICATE_WINDOW: 10000,      // (ms)
+  BLOCKLIST_FILE: process.env.CHAT_BLOCKLIST_FILE || path.join(__dirname, 'config', 'chatBlocklist.json'),
+  EXTRA_BLOCKED_WORDS: (process.env.CHAT_BLOCKED_WORDS || '').split(','),
+  DEFAULT_MUTE: 5 * 60 * 1000,  // Mute length when none is given (ms)
+  MAX_MUTE: 60 * 60 * 1000,     // Longest mute a host can hand out (ms)
+  LEAK_FLAG_THRESHOLD: 2        // Word leaks before a player is flagged to the host
+};
+
+const chatBlocklist = loadBlocklist(CHAT_CONFIG.BLOCKLIST_FILE, CHAT_CONFIG.EXTRA_BLOCKED_WORDS);
+
+const RATE_LIMIT_CONFIG = {
+  MAX_CONNECTIONS_PER_IP: 10,             // Concurrent sockets allowed from one IP
+  // Take the client IP from X-Forwarded-For. On by default on Heroku (DYNO is set),
+  // where every socket otherwise comes from the router's address.
+  TRUST_PROXY: process.env.TRUST_PROXY === 'true' ||
+    (process.env.TRUST_PROXY === undefined && Boolean(process.env.DYNO)),
+  // Token buckets per socket and event: burst size and tokens regained per second
+  EVENT_BUDGETS: {
+    drawing: { capacity: 300, refillPerSecond: 150 },
+    chatMessage: { capacity: 10, refillPerSecond: 2 },
+    createRoom: { capacity: 3, refillPerSecond: 0.1 },
+    joinRoom: { capacity: 5, refillPerSecond: 0.5 },
+    getPublicRooms: { capacity: 5, refillPerSecond: 1 },
+    identifyUser: { capacity: 5, refillPerSecond: 0.5 }
+  },
+  DEFAULT_BUDGET: { capacity: 20, refillPerSecond: 5 },
+  WARN_AFTER: 10,               // Dropped events before the client is warned
+  DISCONNECT_AFTER: 50,         // Dropped events before the socket is disconnected
+  VIOLATION_DECAY: 10000        // Quiet time after which dropped events are forgotten (ms)
+};
+
+const VOTE_KICK_CONFIG = {
+  MIN_PLAYERS: 3,               // Connected players needed before a vote can start
+  DURATION: 30000,              // How long a vote stays open (ms)
+  COOLDOWN: 60000,              // Time before the same player can start another vote (ms)
+  IMMUNITY: 5 * 60 * 1000       // Time a target survives new votes from the same starter after a failed vote (ms)
+};
+
+const RECORDING_CONFIG = {
+  MAX_FINISHED_GAMES: 100,      // Finished game recordings kept for replay export
+  REPLAY_TICK: 100,             // How often replay events are flushed to the room (ms)
+  DRAWING_WIDTH: 800,           // Size of the client canvas that drawings are rendered at
+  DRAWING_HEIGHT: 600,
+  SVG_CACHE_SIZE: 200           // Rendered drawings kept in memory
+};
+
+const DICTIONARY_CONFIG = {
+  DIRECTORY: process.env.DICTIONARY_DIR || path.join(__dirname, 'dictionaries'),   // <language>/<category>.json
+  DEFAULT_LANGUAGE: 'en'
+};
+
+const WORD_STATS_CONFIG = {
+  // Guess score multiplier per word difficulty tier
+  TIER_MULTIPLIERS: { easy: 1, medium: 1.25, hard: 1.5 },
+  MAX_LISTED: 500               // Most words returned by the stats endpoint
+};
+
+const SCORING_CONFIG = {
+  DEFAULT_RULES: ['classic']    // Scoring rules a room uses unless the host picks others (see lib/scoring.js)
+};
+
+const PERSISTENCE_CONFIG = {
+  STORE: process.env.STATE_STORE || 'file',   // 'file', 'memory' or 'none'
+  FILE_PATH: process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json'),
+  CHECKPOINT_INTERVAL: 5000,                  // Periodic checkpoint interval in ms
+  CHECKPOINT_DEBOUNCE: 500                    // Delay before a scheduled checkpoint is written
+};
+
+const PROFILE_CONFIG = {
+  STORE: process.env.PROFILE_STORE || 'file',   // 'file', 'memory' or 'none' to turn profiles off
+  FILE_PATH: process.env.PROFILE_FILE || path.join(__dirname, 'data', 'profiles.json'),
+  SAVE_DEBOUNCE: 1000,                          // Delay before recorded results are written (ms)
+  MAX_LISTED: 100                               // Most players returned by a leaderboard
+};
+
+const SESSION_CONFIG = {
+  // Every node must share the secret. Without one, a node that keeps its state in a
+  // file generates one and keeps it beside the state file as SECRET_FILE_NAME.
+  SECRET: process.env.SESSION_SECRET,
+  SECRET_FILE_NAME: 'session.secret',
+  TOKEN_TTL: 7 * 24 * 60 * 60 * 1000   // How long a session token stays valid (ms)
+};
+
+const CLUSTER_CONFIG = {
+  BACKEND: process.env.CLUSTER_BACKEND || 'memory',        // Shared registry/adapter backend
+  NODE_ID: process.env.NODE_ID || process.env.DYNO,      // A random id per node when unset
+  HEARTBEAT_INTERVAL: 5000                                 // How often this node reports itself alive
+};
+
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
@@ -43,1263 +185,3023 @@ function generateId() {
   return uuidv4();
 }
 
-let words = [];
-let usedWords = new Set();
-try {
-  const dictionaryPath = path.join(__dirname, 'public', 'dictionaryy.json');
-  const dictionaryContent = fs.readFileSync(dictionaryPath, 'utf8');
-  words = JSON.parse(dictionaryContent);
-  console.log(`Loaded ${words.length} words from dictionary.json`);
-} catch (error) {
-  console.error('Error loading dictionary.json:', error);
-  words = [
-    'stIng', 'Labubu', 'dingDing', 'bEnten', 'coffIn',
-    'braiNrot', 'cricKet', 'alterNate', 'ryan', 'binary',
-    'janice', 'scrunchie', 'wikipedia', 'kingfisher', 'aasasbeard',
-    'mannu'
-  ];
-  console.log('Using fallback word list');
-}
+const FALLBACK_WORDS = [
+  'stIng', 'Labubu', 'dingDing', 'bEnten', 'coffIn',
+  'braiNrot', 'cricKet', 'alterNate', 'ryan', 'binary',
+  'janice', 'scrunchie', 'wikipedia', 'kingfisher', 'aasasbeard',
+  'mannu'
+];
 
-const server = http.createServer(app);
+// Builds one node of the game server. Options override the environment-based config
+// above, which is what lets tests run several nodes in one process:
+//   { nodeId, clusterBackend, stateStore, stateFile, profileStore, profileFile, sessionSecret }
+function createGameServer(options = {}) {
+  const app = express();
 
-const io = new Server(server, {
-  cors: {
+  app.use(cors({
     origin: true,
-    credentials: true,
-    methods: ['GET', 'POST']
-  },
-  path: '/socket.io',
-  serveClient: false,
-  pingInterval: 10000,
-  pingTimeout: 5000,
-  cookie: false
-});
+    credentials: true
+  }));
 
-const usersByClientId = new Map();
-const rooms = new Map();
-const publicRooms = new Map();
-const games = new Map();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.static(path.join(__dirname, 'public')));
 
-function findUserRoom(userId) {
-  for (const [roomId, room] of rooms.entries()) {
-    if (room.players.some(p => p.id === userId)) {
-      return roomId;
-    }
-  }
-  return null;
-}
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok' });
+  });
 
-function findRoomByClientId(clientId) {
-  const user = usersByClientId.get(clientId);
-  if (!user) return null;
-  return findUserRoom(user.socketId);
-}
+  app.get('/', (req, res) => {
+    res.send('well what are you doing here?');
+  });
 
-function getRandomWords(count = 3) {
-  // Filter out already used words
-  const availableWords = words.filter(word => !usedWords.has(word));
-  
-  // If we've used all words, reset the used words tracking
-  if (availableWords.length < count) {
-    usedWords.clear();
-    return getRandomWords(count);
-  }
-  
-  // Get random words from available words
-  const shuffled = [...availableWords].sort(() => 0.5 - Math.random());
-  const selectedWords = shuffled.slice(0, count);
-  
-  // Add selected words to used words set
-  selectedWords.forEach(word => usedWords.add(word));
-  
-  return selectedWords;
-}
+  const cluster = createCluster({
+    type: options.clusterBackend || CLUSTER_CONFIG.BACKEND,
+    nodeId: options.nodeId || CLUSTER_CONFIG.NODE_ID || uuidv4()
+  });
 
-function createRoomState(isPublic = false, hostId, hostUsername, hostAvatar) {
-  const roomId = generateRoomId();
-  console.log(`Creating room state with hostId: ${hostId}, username: ${hostUsername}`);
-  const roomState = {
-    id: roomId,
-    isPublic: isPublic,
-    hostId,
-    status: 'waiting',
-    players: [],
-    currentDrawer: null,
-    word: '',
-    wordOptions: [],
-    timeLeft: 0,
-    round: 0,
-    totalRounds: 3,
-    maxPlayers: 8,
-    drawTime: 80,
-    scores: {},
-    hintsInterval: 2,
-    gameMode: 'Normal',
-    customWords: [],
-    timer: null,
-    drawingHistory: [],
-    chatHistory: [],
-    hintsRevealed: null,
-    lastActivity: Date.now()
-  };
-  const hostPlayer = {
-    id: hostId,
-    username: hostUsername,
-    score: 0,
-    avatar: hostAvatar,
-    isHost: true,
-    isDrawing: false,
-    hasGuessedCorrectly: false,
-    isConnected: true
-  };
-  roomState.players.push(hostPlayer);
-  console.log(`Host player added:`, hostPlayer);
-  rooms.set(roomId, roomState);
-  if (isPublic) {
-    publicRooms.set(roomId, {
-      id: roomId,
-      name: `${hostUsername}'s Room`,
-      players: 1,
-      maxPlayers: 8,
-      inProgress: false
-    });
-    console.log(`Added room ${roomId} to public rooms list. isPublic: ${isPublic}`);
-  } else {
-    console.log(`Room ${roomId} not added to public rooms. isPublic: ${isPublic}`);
+  const connectionLimiter = createConnectionLimiter(RATE_LIMIT_CONFIG.MAX_CONNECTIONS_PER_IP);
+
+  const stateStoreType = options.stateStore || PERSISTENCE_CONFIG.STORE;
+  const stateFile = options.stateFile || PERSISTENCE_CONFIG.FILE_PATH;
+  const profileStoreType = options.profileStore || PROFILE_CONFIG.STORE;
+  // A generated secret is only worth keeping when there is state that outlives the process
+  const sessionSecret = options.sessionSecret || SESSION_CONFIG.SECRET ||
+    (stateStoreType === 'file' || profileStoreType === 'file'
+      ? loadSessionSecret(path.join(path.dirname(stateFile), SESSION_CONFIG.SECRET_FILE_NAME))
+      : crypto.randomBytes(32).toString('hex'));
+
+  let dictionaries;
+  try {
+    dictionaries = loadDictionaries(DICTIONARY_CONFIG.DIRECTORY);
+    console.log('Loaded dictionaries:', describeDictionaries(dictionaries));
+  } catch (error) {
+    console.error('Error loading dictionaries:', error.message, error.problems || '');
+    dictionaries = { [DICTIONARY_CONFIG.DEFAULT_LANGUAGE]: { general: FALLBACK_WORDS } };
+    console.log('Using fallback word list');
+  }
+  let dictionaryWords = getDictionaryWords(dictionaries);
+
+  // Gameplay stats per word; see lib/wordStats.js. Only dictionary words get stats,
+  // so custom words can't fill the shared stats (or the checkpoint) with junk.
+  let wordStats = createWordStats();
+  let profiles = {};
+
+  // Swaps in freshly loaded dictionaries, keeping the current ones if any file is invalid
+  function reloadDictionaries() {
+    const loaded = loadDictionaries(DICTIONARY_CONFIG.DIRECTORY);
+    if (!loaded[DICTIONARY_CONFIG.DEFAULT_LANGUAGE]) {
+      throw new DictionaryError(`Default language "${DICTIONARY_CONFIG.DEFAULT_LANGUAGE}" has no dictionaries`);
+    }
+    dictionaries = loaded;
+    dictionaryWords = getDictionaryWords(dictionaries);
+    console.log('Reloaded dictionaries:', describeDictionaries(dictionaries));
+    return describeDictionaries(dictionaries);
   }
-  return roomState;
-}
-
-function getPublicRoomsInfo() {
-  return Array.from(publicRooms.values());
-}
 
-function updatePublicRoomInfo(roomId) {
-  const room = rooms.get(roomId);
-  if (!room || !room.isPublic) return;
-  publicRooms.set(roomId, {
-    id: roomId,
-    name: `${room.players.find(p => p.isHost)?.username || 'Anonymous'}'s Room`,
-    players: room.players.length,
-    maxPlayers: room.maxPlayers || 8,
-    inProgress: room.status !== 'waiting'
+  const server = http.createServer(app);
+
+  const io = new Server(server, {
+    cors: {
+      origin: true,
+      credentials: true,
+      methods: ['GET', 'POST']
+    },
+    path: '/socket.io',
+    serveClient: false,
+    pingInterval: 10000,
+    pingTimeout: 5000,
+    cookie: false,
+    adapter: cluster.adapter
   });
-}
 
-function removePublicRoom(roomId) {
-  publicRooms.delete(roomId);
-}
+  const usersByClientId = new Map();
+  const rooms = new Map();
+  const publicRooms = new Map();
+  const games = new Map();
 
-function updatePublicRoomsList() {
-  publicRooms.clear();
-  for (const [roomId, room] of rooms.entries()) {
-    if (room.isPublic) {
-      updatePublicRoomInfo(roomId);
+  function findUserRoom(userId) {
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.players.some(p => p.id === userId)) {
+        return roomId;
+      }
     }
+    return null;
   }
-}
 
-function startGameTimer(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  if (room.timer) {
-    clearInterval(room.timer);
-    room.timer = null;
-  }
-  if (room.status === 'playing' && !room.hintsRevealed) {
-    room.hintsRevealed = {
-      count: 0,
-      positions: []
-    };
-  }
-  if (room.status === 'playing') {
-    const totalDrawTime = room.drawTime + 10;
-    const firstHintTime = Math.floor(totalDrawTime * 0.4);
-    const secondHintTime = Math.floor(totalDrawTime * 0.7);
-    room.hintTimes = {
-      firstHint: room.timeLeft - firstHintTime,
-      secondHint: room.timeLeft - secondHintTime
-    };
-    console.log(`Hint times set: First hint at ${room.hintTimes.firstHint}s, Second hint at ${room.hintTimes.secondHint}s`);
-  }
-  room.timer = setInterval(() => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      clearInterval(room.timer);
-      return;
-    }
-    room.timeLeft -= 1;
-    io.to(roomId).emit('timeUpdate', { timeLeft: room.timeLeft });
-    if (room.status === 'playing' && room.word && room.hintsRevealed && room.hintTimes) {
-      if (room.timeLeft === room.hintTimes.firstHint && room.hintsRevealed.count === 0) {
-        console.log(`Triggering first hint at ${room.timeLeft}s remaining`);
-        revealHint(roomId, 1);
-      }
-      if (room.timeLeft === room.hintTimes.secondHint && room.hintsRevealed.count === 1) {
-        console.log(`Triggering second hint at ${room.timeLeft}s remaining`);
-        revealHint(roomId, 2);
+  function findSpectatorRoom(socketId) {
+    for (const [roomId, room] of rooms.entries()) {
+      if ((room.spectators || []).some(s => s.id === socketId)) {
+        return roomId;
       }
     }
-    if (room.timeLeft <= 0) {
-      const currentRoom = rooms.get(roomId);
-      if (!currentRoom) {
-        clearInterval(room.timer);
-        return;
-      }
-      clearInterval(currentRoom.timer);
-      currentRoom.timer = null;
-      if (currentRoom.status === 'selecting') {
-        const randomWord = currentRoom.wordOptions[0];
-        handleWordSelection(currentRoom, randomWord);
-      } else if (currentRoom.status === 'playing') {
-        endRound(roomId);
+    return null;
+  }
+
+  function findRoomByClientId(clientId) {
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.players.some(p => p.clientId === clientId)) {
+        return roomId;
       }
     }
-  }, 1000);
-}
+    return null;
+  }
 
-function revealHint(roomId, hintNumber) {
-  const room = rooms.get(roomId);
-  if (!room || !room.word || room.status !== 'playing') return;
-  const word = room.word;
-  const wordLength = word.length;
-  let availablePositions = [];
-  for (let i = 0; i < wordLength; i++) {
-    if (word[i] !== ' ' && !room.hintsRevealed.positions.includes(i)) {
-      availablePositions.push(i);
-    }
-  }
-  if (availablePositions.length === 0) {
-    console.log(`No more positions to reveal for hint ${hintNumber} in word "${room.word}"`);
-    return;
-  }
-  availablePositions = availablePositions.sort(() => 0.5 - Math.random());
-  const toReveal = hintNumber === 1 
-    ? Math.max(1, Math.ceil(availablePositions.length * 0.25)) 
-    : Math.max(1, Math.ceil(availablePositions.length * 0.5));
-  const newRevealedPositions = availablePositions.slice(0, toReveal);
-  room.hintsRevealed.positions = [...room.hintsRevealed.positions, ...newRevealedPositions];
-  room.hintsRevealed.count = hintNumber;
-  const maskedWord = generateMaskedWordWithHints(room.word, room.hintsRevealed.positions);
-  for (const player of room.players) {
-    if (player.id === room.currentDrawer.id || player.hasGuessedCorrectly) {
-      continue;
-    }
-    io.to(player.id).emit('wordHint', { 
-      hint: maskedWord,
-      hintNumber
-    });
+  // A clientId with a profile stays claimed after its player leaves, so only its
+  // token can speak for it and earn that profile more games
+  function isClientIdClaimed(clientId) {
+    return usersByClientId.has(clientId) || getProfileId(profiles, clientId) !== null ||
+      Array.from(rooms.values()).some(room =>
+        [...room.players, ...(room.spectators || [])].some(p => p.clientId === clientId)
+      );
   }
-  console.log(`Hint ${hintNumber} revealed for word "${room.word}" in room ${roomId}: ${maskedWord} (revealed positions: ${newRevealedPositions.join(', ')})`);
-}
 
-function generateMaskedWordWithHints(word, revealedPositions) {
-  return word.split('').map((char, index) => {
-    if (char === ' ') return ' ';
-    if (revealedPositions.includes(index)) return char;
-    return '_';
-  }).join('');
-}
+  // Works out which clientId a socket speaks for and sends it a fresh session token.
+  // A valid token proves its clientId; without one, a client keeps the clientId it
+  // asked for only if nobody else holds it, and gets a new one otherwise.
+  function startSession(socket, { clientId, sessionToken, username, avatar }) {
+    let verifiedId = verifySessionToken(sessionToken, sessionSecret);
+    if (!verifiedId) {
+      const user = clientId && usersByClientId.get(clientId);
+      const ownedBySocket = user && user.socketId === socket.id;
+      verifiedId = clientId && (ownedBySocket || !isClientIdClaimed(clientId)) ? clientId : uuidv4();
+    }
+    usersByClientId.set(verifiedId, {
+      socketId: socket.id,
+      username,
+      avatar,
+      isConnected: true
+    });
+    const session = createSessionToken(verifiedId, sessionSecret, SESSION_CONFIG.TOKEN_TTL);
+    socket.emit('session', {
+      clientId: verifiedId,
+      sessionToken: session.token,
+      expiresAt: session.expiresAt,
+      profileId: getProfileId(profiles, verifiedId)
+    });
+    return verifiedId;
+  }
 
-function levenshteinDistance(a, b) {
-  const matrix = [];
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
+  function isDictionaryWord(word) {
+    return dictionaryWords.has(String(word).trim().toLowerCase());
   }
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
+
+  // One word per difficulty tier from the room's dictionaries
+  function getRandomWords(room) {
+    let pool = getWordPool(dictionaries, room.language, room.categories);
+    // The room's language or categories may have gone away in a reload
+    if (pool.length < TIERS.length) {
+      pool = getWordPool(dictionaries, DICTIONARY_CONFIG.DEFAULT_LANGUAGE);
+    }
+    room.usedWords = room.usedWords || [];
+    return pickWordsByTier(pool, room.usedWords, wordStats);
   }
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i-1) === a.charAt(j-1)) {
-        matrix[i][j] = matrix[i-1][j-1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i-1][j-1] + 1,
-          matrix[i][j-1] + 1,
-          matrix[i-1][j] + 1
-        );
-      }
+
+  // Field errors, in validationError form, for a language or category that isn't loaded
+  function getDictionaryErrors(language, categories) {
+    const available = dictionaries[language];
+    if (!available) {
+      return [{ path: 'language', code: 'INVALID_VALUE', message: `language must be one of: ${Object.keys(dictionaries).join(', ')}` }];
     }
+    return categories
+      .map((category, index) => ({ category, index }))
+      .filter(({ category }) => !available[category])
+      .map(({ category, index }) => ({
+        path: `categories[${index}]`,
+        code: 'INVALID_VALUE',
+        message: `Category "${category}" doesn't exist for ${language}`
+      }));
   }
-  return matrix[b.length][a.length];
-}
 
-function startRound(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  
-  // Reset all player states for the new turn
-  room.players.forEach(player => {
-    player.hasGuessedCorrectly = false;
-    player.isDrawing = false;
-  });
+  // The lobby settings everyone in the room sees, in the shape updateSettings takes
+  function getRoomSettings(room) {
+    return {
+      drawTime: room.drawTime,
+      rounds: room.totalRounds,
+      maxPlayers: room.maxPlayers,
+      gameMode: room.gameMode,
+      hintsInterval: room.hintsInterval,
+      customWords: (room.customWords || []).join(', '),
+      language: room.language,
+      categories: room.categories,
+      scoring: room.scoring,
+      teamCount: room.teamCount,
+      teamScoring: room.teamScoring
+    };
+  }
 
-  // Initialize turn tracking if needed
-  if (room.currentTurn === undefined) {
-    room.currentTurn = 1;
+  function getRoomSettingsErrors(room, settings) {
+    const errors = [...getDictionaryErrors(settings.language, settings.categories), ...getScoringErrors(settings.scoring)];
+    if (settings.maxPlayers < room.players.length) {
+      errors.push({
+        path: 'maxPlayers',
+        code: 'OUT_OF_RANGE',
+        message: `maxPlayers can't be below the ${room.players.length} players already in the room`
+      });
+    }
+    return errors;
   }
 
-  const activePlayers = room.players.filter(player => player.isConnected);
-  const totalTurnsInRound = activePlayers.length;
+  // Stores complete settings (see getRoomSettings) on the room, within the server's limits
+  function applyRoomSettings(room, settings) {
+    // Respect custom words flag
+    const gameMode = settings.gameMode === 'Custom Words' && !SERVER_CONFIG.CUSTOM_WORDS_ENABLED
+      ? 'Normal'
+      : settings.gameMode;
+    room.drawTime = settings.drawTime;
+    room.totalRounds = settings.rounds;
+    room.maxPlayers = Math.min(settings.maxPlayers, SERVER_CONFIG.MAX_PLAYERS_PER_ROOM);
+    room.gameMode = getGameMode(gameMode).name;
+    room.hintsInterval = settings.hintsInterval;
+    room.customWords = SERVER_CONFIG.CUSTOM_WORDS_ENABLED ? parseCustomWords(settings.customWords) : [];
+    room.language = settings.language;
+    room.categories = settings.categories;
+    room.scoring = [...new Set(settings.scoring)];
+    room.teamCount = settings.teamCount;
+    room.teamScoring = settings.teamScoring;
+  }
 
-  // Check if we've completed all turns in the current round
-  if (room.currentTurn > totalTurnsInRound) {
-    // Start new round
-    room.currentTurn = 1;
-    room.players.forEach(player => {
-      player.hasDrawnThisRound = false;
-    });
-    room.round++;
-    room.lastDrawer = null; // Reset last drawer for new round
+  async function allocateRoomId() {
+    // Room ids are only unique once the shared registry has accepted the claim
+    for (;;) {
+      const roomId = generateRoomId();
+      if (!rooms.has(roomId) && await cluster.registry.claimRoom(roomId, cluster.nodeId)) {
+        return roomId;
+      }
+    }
+  }
 
-    if (room.round > room.totalRounds) {
-      return endGame(roomId);
+  function createRoomState(roomId, isPublic = false, hostId, hostUsername, hostAvatar, hostClientId) {
+    console.log(`Creating room state with hostId: ${hostId}, username: ${hostUsername}`);
+    const roomState = {
+      id: roomId,
+      isPublic: isPublic,
+      hostId,
+      status: 'waiting',
+      players: [],
+      spectators: [],
+      currentDrawer: null,
+      word: '',
+      wordOptions: [],
+      timeLeft: 0,
+      round: 0,
+      totalRounds: 3,
+      maxPlayers: 8,
+      drawTime: 80,
+      scores: {},
+      hintsInterval: 2,
+      gameMode: 'Normal',
+      customWords: [],
+      language: DICTIONARY_CONFIG.DEFAULT_LANGUAGE,
+      categories: [],         // Empty means every category of the language
+      usedWords: [],
+      scoring: [...SCORING_CONFIG.DEFAULT_RULES],
+      teamCount: 2,             // Teams mode only
+      teamScoring: 'opponents',
+      drawingHistory: [],
+      canvasSnapshot: [],
+      chatHistory: [],
+      hintsRevealed: null,
+      lastActivity: Date.now()
+    };
+    const hostPlayer = {
+      id: hostId,
+      username: hostUsername,
+      clientId: hostClientId,
+      score: 0,
+      avatar: hostAvatar,
+      isHost: true,
+      isDrawing: false,
+      hasGuessedCorrectly: false,
+      isConnected: true
+    };
+    roomState.players.push(hostPlayer);
+    console.log(`Host player added:`, hostPlayer);
+    rooms.set(roomId, roomState);
+    if (isPublic) {
+      updatePublicRoomInfo(roomId);
+      console.log(`Added room ${roomId} to public rooms list. isPublic: ${isPublic}`);
+    } else {
+      console.log(`Room ${roomId} not added to public rooms. isPublic: ${isPublic}`);
+      publishPublicRooms();
     }
+    scheduleCheckpoint();
+    return roomState;
+  }
 
-    io.to(roomId).emit('roundInfo', {
-      round: room.round,
-      totalRounds: room.totalRounds
-    });
+  async function getPublicRoomsInfo() {
+    if (SERVER_CONFIG.FORCE_PRIVATE_ROOMS) return [];
+    return cluster.registry.listPublicRooms();
   }
 
-  // Get eligible drawers (connected players who haven't drawn this round and weren't the last drawer)
-  const eligibleDrawers = room.players.filter(player => 
-    !player.hasDrawnThisRound && 
-    player.isConnected &&
-    (!room.lastDrawer || player.id !== room.lastDrawer.id)
-  );
-
-  // Select next drawer
-  let nextDrawer;
-  if (eligibleDrawers.length > 0) {
-    nextDrawer = eligibleDrawers[Math.floor(Math.random() * eligibleDrawers.length)];
-  } else {
-    // If no eligible drawers, reset for next round
-    room.players.forEach(player => {
-      player.hasDrawnThisRound = false;
-    });
-    room.currentTurn = 1;
-    room.round++;
-    room.lastDrawer = null;
+  function publishPublicRooms() {
+    cluster.registry.syncPublicRooms(cluster.nodeId, Array.from(publicRooms.values()))
+      .catch(error => console.error('Error publishing public rooms:', error));
+  }
 
-    if (room.round > room.totalRounds) {
-      return endGame(roomId);
-    }
+  function updatePublicRoomInfo(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.isPublic) return;
+    publicRooms.set(roomId, {
+      id: roomId,
+      name: `${room.players.find(p => p.isHost)?.username || 'Anonymous'}'s Room`,
+      players: room.players.length,
+      spectators: (room.spectators || []).length,
+      maxPlayers: room.maxPlayers || 8,
+      inProgress: room.status !== 'waiting',
+      gameMode: room.gameMode,
+      rounds: room.totalRounds,
+      drawTime: room.drawTime,
+      language: room.language
+    });
+    publishPublicRooms();
+  }
 
-    // Get first eligible player for new round
-    nextDrawer = room.players.find(p => 
-      p.isConnected && 
-      (!room.lastDrawer || p.id !== room.lastDrawer.id)
-    );
+  function removePublicRoom(roomId) {
+    publicRooms.delete(roomId);
+    publishPublicRooms();
+  }
 
-    if (!nextDrawer && activePlayers.length > 0) {
-      // Fallback if no eligible players found
-      nextDrawer = activePlayers[0];
+  function updatePublicRoomsList() {
+    publicRooms.clear();
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.isPublic) {
+        updatePublicRoomInfo(roomId);
+      }
     }
+    publishPublicRooms();
   }
 
-  if (!nextDrawer) {
-    console.error(`No eligible drawer found in room ${roomId}`);
-    return;
+  // Removes a disconnected player who hasn't come back within 30s. The timers live on
+  // the room so destroying it (or closing the server) stops them.
+  function scheduleDisconnectedLeave(room, socket) {
+    room.leaveTimers = room.leaveTimers || {};
+    clearTimeout(room.leaveTimers[socket.id]);
+    room.leaveTimers[socket.id] = setTimeout(() => {
+      delete room.leaveTimers[socket.id];
+      const player = room.players.find(p => p.id === socket.id);
+      if (rooms.get(room.id) === room && player && !player.isConnected) {
+        handlePlayerLeave(socket, room.id, 0);
+      }
+    }, 30000);
   }
 
-  // Setup new drawer
-  nextDrawer.isDrawing = true;
-  nextDrawer.hasDrawnThisRound = true;
-  room.currentDrawer = nextDrawer;
-  room.lastDrawer = nextDrawer;
-  
-  // Emit state update to all players
-  io.to(roomId).emit('turnState', {
-    drawer: nextDrawer.id,
-    players: room.players
-  });
-
-  console.log(`Player ${nextDrawer.username} is now drawing in room ${roomId} (Turn ${room.currentTurn} of ${totalTurnsInRound})`);
+  function clearLeaveTimers(room) {
+    Object.values(room.leaveTimers || {}).forEach(clearTimeout);
+    room.leaveTimers = {};
+  }
 
-  // Clear canvas and start word selection
-  io.to(roomId).emit('canvasCleared');
-  io.to(roomId).emit('turnStarted', {
-    players: room.players,
-    drawer: nextDrawer,
-    currentTurn: room.currentTurn,
-    totalTurns: totalTurnsInRound
-  });
+  function destroyRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    rooms.delete(roomId);
+    clearLeaveTimers(room);
+    for (const targetId of Object.keys(room.voteKicks || {})) {
+      endVoteKick(room, targetId);
+    }
+    gameEngine.stop(room);
+    stopReplay(room);
+    abandonGameRecording(room);
+    cluster.registry.releaseRoom(roomId, cluster.nodeId)
+      .catch(error => console.error(`Error releasing room ${roomId}:`, error));
+  }
 
-  // Increment the turn counter after the current player has been set up
-  room.currentTurn++;
+  // What game mode hooks may do to the room beyond changing its state
+  const GAME_MODE_CONTEXT = {
+    emit: (room, event, payload) => io.to(room.id).emit(event, payload),
+    flushDrawing: room => flushDrawing(room)
+  };
 
-  let wordOptions;
-  if (room.gameMode === 'Custom Words' && room.customWords && room.customWords.length >= 3) {
-    wordOptions = [...room.customWords].sort(() => 0.5 - Math.random()).slice(0, 3);
-  } else {
-    wordOptions = getRandomWords(3);
+  function emitTeamsUpdated(room) {
+    io.to(room.id).emit('teamsUpdated', getTeamsUpdate(room));
   }
 
-  room.wordOptions = wordOptions;
-  room.status = 'selecting';
-  room.timeLeft = 15;
-
-  io.to(nextDrawer.id).emit('wordSelection', { words: wordOptions });
-  io.to(roomId).emit('gameStarted', {
-    round: room.round,
-    totalRounds: room.totalRounds,
-    drawer: {
-      id: nextDrawer.id,
-      username: nextDrawer.username
+  // Turn and round flow. The engine runs the game; everything it needs from the rest
+  // of the server (sockets, dictionaries, word stats, recordings) is wired in here.
+  const gameEngine = createGameEngine({
+    emit: (room, event, ...args) => io.to(room.id).emit(event, ...args),
+    emitTo: (playerId, event, ...args) => io.to(playerId).emit(event, ...args),
+    pickWords: getRandomWords,
+    getWordTier: word => getWordTier(wordStats, word),
+    tierMultipliers: WORD_STATS_CONFIG.TIER_MULTIPLIERS,
+    modeContext: GAME_MODE_CONTEXT,
+    hooks: {
+      onGameStart(room) {
+        stopReplay(room);
+        startGameRecording(room);
+        room.guessStats = {};
+      },
+      onWordsOffered: (room, words) => recordOffered(wordStats, words.filter(isDictionaryWord)),
+      onTurnStart(room) {
+        console.log(`Word selected in room ${room.id}: ${room.word}`);
+        resetCanvas(room);
+        startTurnRecording(room);
+        io.to(getSpectatorChannel(room.id)).emit('roundStart', {
+          drawer: room.currentDrawer.id,
+          drawerName: room.currentDrawer.username,
+          word: getGameMode(room.gameMode).maskWord(room, room.word),
+          timeLeft: room.timeLeft,
+          isDrawing: false,
+          isSpectator: true
+        });
+      },
+      onCorrectGuess(room, player, { seconds, drawTime, points }) {
+        if (isDictionaryWord(room.word)) {
+          recordGuessed(wordStats, room.word, seconds, drawTime);
+        }
+        recordProfileGuess(room, player, seconds);
+        if (room.turnRecording) {
+          recordTurnGuess(room.turnRecording, {
+            playerId: player.id,
+            username: player.username,
+            timeLeft: room.timeLeft,
+            score: points
+          });
+        }
+      },
+      onTurnEnd(room, { eligibleCount }) {
+        console.log(`Turn ended in room ${room.id}, word was: ${room.word}`);
+        if (isDictionaryWord(room.word)) {
+          recordPlayed(wordStats, room.word, eligibleCount);
+        }
+        finishTurnRecording(room, true);
+      },
+      onTurnAbandoned: room => finishTurnRecording(room, false),
+      onPauseExpired(room, drawer) {
+        console.log(`Drawer ${drawer.username} did not return to room ${room.id} in time`);
+        handlePlayerLeave({ id: drawer.id }, room.id, 0);
+      },
+      onGameEnd(room, standings) {
+        finishGameRecording(room, standings);
+        recordProfileResults(room, standings);
+        const game = games.get(room.gameId);
+        return { gallery: game ? getGallery(game) : [] };
+      },
+      onChange(room) {
+        updatePublicRoomInfo(room.id);
+        scheduleCheckpoint();
+      }
     }
   });
 
-  io.to(roomId).emit('playerSelecting', {
-    drawer: nextDrawer.id,
-    drawerName: nextDrawer.username
-  });
+  function resetCanvas(room) {
+    cancelDrawingFlush(room);
+    room.drawingHistory = [];
+    room.canvasSnapshot = [];
+    room.redoStack = [];
+    room.currentStrokeId = null;
+    room.lastSegment = null;
+  }
 
-  startGameTimer(roomId);
+  function beginStroke(room) {
+    room.nextStrokeId = (room.nextStrokeId || 0) + 1;
+    // Drawing something new makes the undone strokes unreachable
+    room.redoStack = [];
+    room.lastSegment = null;
+    return room.nextStrokeId;
+  }
 
-  if (room.isPublic) {
-    updatePublicRoomInfo(roomId);
+  function getStrokeId(room, data) {
+    if (room.currentStrokeId) {
+      return room.currentStrokeId;
+    }
+    // Clients that don't send strokeStart/strokeEnd get strokes grouped by continuity
+    const last = room.lastSegment;
+    if (!data.fill && last && last.x === data.x0 && last.y === data.y0 &&
+        last.style === JSON.stringify(getSegmentStyle(data))) {
+      return last.strokeId;
+    }
+    return beginStroke(room);
   }
-}
 
-function handleWordSelection(room, selectedWord) {
-  if (!room || !selectedWord) return;
-  if (room.timer) {
-    clearInterval(room.timer);
-    room.timer = null;
-  }
-  room.word = selectedWord;
-  room.status = 'playing';
-  room.timeLeft = room.drawTime || 80;
-  room.hintsRevealed = {
-    count: 0,
-    positions: []
-  };
-  console.log(`Word selected in room ${room.id}: ${selectedWord}`);
-  io.to(room.id).emit('canvasCleared');
-  room.drawingHistory = [];
-  for (const player of room.players) {
-    const isDrawer = player.id === room.currentDrawer.id;
-    const wordToSend = isDrawer ? selectedWord : selectedWord.replace(/[a-zA-Z]/g, '_');
-    io.to(player.id).emit('roundStart', {
-      drawer: room.currentDrawer.id,
-      drawerName: room.currentDrawer.username,
-      word: wordToSend,
-      timeLeft: room.timeLeft,
-      isDrawing: isDrawer
-    });
-    if (!isDrawer) {
-      io.to(player.id).emit('wordHint', { 
-        hint: wordToSend,
-        hintNumber: 0
+  function recordDrawing(room, data) {
+    const entry = { ...data, strokeId: getStrokeId(room, data) };
+    room.lastSegment = data.fill ? null : {
+      strokeId: entry.strokeId,
+      x: data.x1,
+      y: data.y1,
+      style: JSON.stringify(getSegmentStyle(data))
+    };
+    room.drawingHistory.push(entry);
+    if (room.turnRecording) {
+      recordTurnEvent(room.turnRecording, 'draw', entry);
+    }
+    if (room.drawingHistory.length > CANVAS_CONFIG.COMPACT_THRESHOLD) {
+      // Fold the raw history into the snapshot so replays to late joiners stay bounded
+      room.canvasSnapshot = compactCanvas([...(room.canvasSnapshot || []), ...room.drawingHistory], {
+        maxPoints: CANVAS_CONFIG.MAX_SNAPSHOT_POINTS
       });
+      room.drawingHistory = [];
     }
+    return entry;
   }
-  startGameTimer(room.id);
-}
 
-function endRound(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  console.log(`Ending round in room ${roomId}, word was: ${room.word}`);
-  if (room.timer) {
-    clearInterval(room.timer);
-    room.timer = null;
+  function undoStroke(room) {
+    const history = room.drawingHistory;
+    const snapshot = room.canvasSnapshot || [];
+    const last = history[history.length - 1] || snapshot[snapshot.length - 1];
+    if (!last) return null;
+    const { strokeId } = last;
+    // A stroke is always the tail of the canvas, but compaction may have split it
+    // between the snapshot and the raw history
+    let historyStart = history.length;
+    while (historyStart > 0 && history[historyStart - 1].strokeId === strokeId) {
+      historyStart--;
+    }
+    let snapshotStart = snapshot.length;
+    if (historyStart === 0) {
+      while (snapshotStart > 0 && snapshot[snapshotStart - 1].strokeId === strokeId) {
+        snapshotStart--;
+      }
+    }
+    const removed = {
+      strokeId,
+      ops: snapshot.splice(snapshotStart),
+      entries: history.splice(historyStart)
+    };
+    room.redoStack = room.redoStack || [];
+    room.redoStack.push(removed);
+    room.currentStrokeId = null;
+    room.lastSegment = null;
+    return strokeId;
   }
 
-  // Reset all player states
-  room.players.forEach(player => {
-    player.hasGuessedCorrectly = false;
-    player.isDrawing = false;  // Explicitly reset drawing state
-  });
-  room.currentDrawer = null;
-
-  // Emit turn end with reset states
-  io.to(roomId).emit('turnEnded', {
-    word: room.word,
-    players: room.players,
-    currentTurn: room.currentTurn,
-    totalTurns: room.players.filter(p => p.isConnected).length,
-    status: 'waiting'
-  });
+  function redoStroke(room) {
+    if (!room.redoStack || room.redoStack.length === 0) return null;
+    const stroke = room.redoStack.pop();
+    room.canvasSnapshot.push(...stroke.ops);
+    room.drawingHistory.push(...stroke.entries);
+    room.lastSegment = null;
+    return stroke.strokeId;
+  }
 
-  // Check if all players have drawn in this round
-  const allPlayersHaveDrawn = room.players.every(player => {
-    return player.hasDrawnThisRound === true || !player.isConnected;
-  });
+  function getStrokeProtocol(data) {
+    const requested = data && data.strokeProtocol;
+    return Number.isInteger(requested) && requested >= 1 ? Math.min(requested, PROTOCOL_VERSION) : 0;
+  }
 
-  setTimeout(() => {
-    if (allPlayersHaveDrawn) {
-      if (room.round >= room.totalRounds) {
-        endGame(roomId);
-      } else {
-        // Reset all hasDrawnThisRound flags for the new round
-        room.players.forEach(player => {
-          player.hasDrawnThisRound = false;
-          player.hasGuessedCorrectly = false; // Ensure this is reset for new round
+  function getStrokeWidth(style) {
+    return style.lineWidth ?? style.width ?? style.size ?? style.brushSize ?? 0;
+  }
+
+  // Converts binary polylines and fills into the segment format kept in drawingHistory
+  function binaryOpsToDrawings(ops) {
+    const drawings = [];
+    for (const op of ops) {
+      if (op.type === 'fill') {
+        drawings.push({ fill: true, x: op.x, y: op.y, color: op.color });
+        continue;
+      }
+      const { points } = op;
+      // A single point is a dot, drawn as a zero-length segment
+      if (points.length === 2) {
+        points.push(points[0], points[1]);
+      }
+      for (let i = 2; i < points.length; i += 2) {
+        drawings.push({
+          x0: points[i - 2],
+          y0: points[i - 1],
+          x1: points[i],
+          y1: points[i + 1],
+          color: op.color,
+          lineWidth: op.width
         });
-        room.round++;
-        startRound(roomId);
       }
-    } else {
-      startRound(roomId);
     }
-  }, 5000);
-}
-
-function endGame(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  clearInterval(room.timer);
-  room.status = 'gameEnd';
-  const sortedPlayers = [...room.players].sort((a, b) => b.score - a.score);
-  io.to(roomId).emit('gameEnded', {
-    players: sortedPlayers
-  });
-  updatePublicRoomInfo(roomId);
-}
-
-const ROOM_CLEANUP_INTERVAL = 5 * 60 * 1000;
-
-function handlePlayerLeave(socket, roomId, recursionDepth = 0) {
-  // Prevent infinite recursion
-  if (recursionDepth > 1) {
-    console.warn(`Prevented recursive player leave handling for room ${roomId}`);
-    return;
+    return drawings;
   }
 
-  const room = rooms.get(roomId);
-  if (!room) return;
-  
-  console.log(`Removing player ${socket.id} from room ${roomId}`);
-  const wasDrawing = room.currentDrawer && room.currentDrawer.id === socket.id;
-  const leavingPlayer = room.players.find(player => player.id === socket.id);
-  const leavingPlayerName = leavingPlayer ? leavingPlayer.username : 'Player';
+  function drawingsToBinaryOps(entries) {
+    return compactCanvas(entries, { maxPoints: Infinity }).map(op => (op.type === 'fill'
+      ? { type: 'fill', strokeId: op.strokeId, color: op.color, x: op.x, y: op.y }
+      : {
+        type: 'polyline',
+        strokeId: op.strokeId,
+        color: op.style.color,
+        width: getStrokeWidth(op.style),
+        points: op.points
+      }));
+  }
 
-  // Update players list
-  room.players = room.players.filter(player => player.id !== socket.id);
+  function queueDrawing(room, entries, senderId) {
+    // A batch is always excluded from one sender, so flush before switching senders
+    if (room.pendingDrawing && room.pendingDrawing.length > 0 && room.pendingDrawingFrom !== senderId) {
+      flushDrawing(room);
+    }
+    room.pendingDrawing = room.pendingDrawing || [];
+    room.pendingDrawing.push(...entries);
+    room.pendingDrawingFrom = senderId;
+    scheduleDrawingFlush(room);
+  }
 
-  // Handle empty room
-  if (room.players.length === 0) {
-    const roomTimer = room.timer;
-    rooms.delete(roomId);
-    if (roomTimer) {
-      clearInterval(roomTimer);
+  function scheduleDrawingFlush(room) {
+    if (!room.drawingFlushTimer) {
+      const delay = getGameMode(room.gameMode).getDrawingDelay(room, CANVAS_CONFIG.BATCH_INTERVAL);
+      room.drawingFlushTimer = setTimeout(() => flushDrawing(room), delay);
     }
-    console.log(`Room deleted: ${roomId}`);
-    updatePublicRoomsList();
-    return;
   }
 
-  // Update host if needed
-  if (room.hostId === socket.id) {
-    room.hostId = room.players[0].id;
-    room.players[0].isHost = true;
+  // Undo and redo replace the whole canvas, so everyone but the drawer gets them on
+  // the drawing schedule; sending them straight away would reveal held-back strokes
+  function queueCanvasChange(room, event, strokeId, senderId) {
+    room.pendingCanvasChange = { event, strokeId, from: senderId };
+    scheduleDrawingFlush(room);
   }
 
-  // Handle drawer leaving
-  if (wasDrawing) {
-    console.log(`Drawer ${leavingPlayerName} left during their turn`);
-    const drawerLeftMessage = {
-      id: `system-${Date.now()}`,
-      playerId: 'system',
-      username: 'System',
-      message: `${leavingPlayerName} left while drawing`,
-      isSystemMessage: true,
-      type: 'leave-drawing',
-      timestamp: Date.now()
-    };
+  function cancelDrawingFlush(room) {
+    if (room.drawingFlushTimer) {
+      clearTimeout(room.drawingFlushTimer);
+      room.drawingFlushTimer = null;
+    }
+    room.pendingDrawing = [];
+    room.pendingDrawingFrom = null;
+    room.pendingCanvasChange = null;
+    room.pendingCanvasRecipients = [];
+  }
 
-    if (room.chatHistory) {
-      room.chatHistory.push(drawerLeftMessage);
-      if (room.chatHistory.length > 100) {
-        room.chatHistory.shift();
-      }
+  // Sends everything drawn since the last tick to everyone but the drawer: one binary
+  // batch for clients that speak the stroke protocol, one drawingData per entry for the rest.
+  // A queued undo or redo goes out instead, since its canvas already holds those entries.
+  function flushDrawing(room) {
+    const entries = room.pendingDrawing || [];
+    const excluded = room.pendingDrawingFrom ? [room.pendingDrawingFrom] : [];
+    const canvasChange = room.pendingCanvasChange;
+    const canvasRecipients = room.pendingCanvasRecipients || [];
+    cancelDrawingFlush(room);
+    if (canvasChange) {
+      io.to(room.id).except(canvasChange.from).emit(canvasChange.event, {
+        strokeId: canvasChange.strokeId,
+        canvas: getCanvasState(room)
+      });
+    } else if (entries.length > 0) {
+      sendDrawingEntries(room, entries, excluded);
+    }
+    if (canvasRecipients.length > 0) {
+      io.to(canvasRecipients).emit('canvasState', getCanvasState(room));
     }
+  }
 
-    io.to(roomId).emit('chatMessage', drawerLeftMessage);
-    if (room.timer) {
-      clearInterval(room.timer);
-      room.timer = null;
+  function sendDrawingEntries(room, entries, excluded) {
+    const binaryIds = [...room.players, ...(room.spectators || [])]
+      .filter(p => p.strokeProtocol >= 1 && !excluded.includes(p.id))
+      .map(p => p.id);
+    if (binaryIds.length > 0) {
+      io.to(binaryIds).emit('drawingBatch', encodeStrokes(drawingsToBinaryOps(entries)));
+    }
+    const legacyRecipients = io.to(room.id).except([...excluded, ...binaryIds]);
+    for (const entry of entries) {
+      legacyRecipients.emit('drawingData', entry);
     }
+  }
 
-    // Start new round after brief delay
-    setTimeout(() => {
-      if (rooms.has(roomId)) {
-        startRound(roomId);
-      }
-    }, 2000);
-  } else {
-    // Regular player left message
-    const leaveMessage = {
-      id: `system-${Date.now()}`,
-      username: 'System',
-      message: `${leavingPlayerName} left the room`,
-      type: 'system',
-      timestamp: Date.now()
+  function getCanvasState(room) {
+    return {
+      snapshot: room.canvasSnapshot || [],
+      history: room.drawingHistory || []
     };
+  }
 
-    if (room.chatHistory) {
-      room.chatHistory.push(leaveMessage);
-      if (room.chatHistory.length > 100) {
-        room.chatHistory.shift();
-      }
+  // Replays the current turn's canvas to a player who joined or reconnected mid-turn.
+  // While drawing is waiting to go out, anyone but the drawer gets it with that flush.
+  function sendCanvasState(socket, room) {
+    if (room.status !== 'playing') return;
+    const isDrawer = room.currentDrawer && room.currentDrawer.id === socket.id;
+    if (!isDrawer && room.drawingFlushTimer) {
+      room.pendingCanvasRecipients = [...(room.pendingCanvasRecipients || []), socket.id];
+      return;
     }
-    io.to(roomId).emit('chatMessage', leaveMessage);
+    socket.emit('canvasState', getCanvasState(room));
   }
 
-  // Notify remaining players
-  io.to(roomId).emit('playerLeft', {
-    players: room.players,
-    player: leavingPlayer
-  });
+  // Rule-name errors, in validationError form, for a startGame scoring setting
+  function getScoringErrors(ruleNames) {
+    const available = getScoringRuleNames();
+    return ruleNames
+      .map((name, index) => ({ name, index }))
+      .filter(({ name }) => !available.includes(name))
+      .map(({ index }) => ({
+        path: `scoring[${index}]`,
+        code: 'INVALID_VALUE',
+        message: `scoring[${index}] must be one of: ${available.join(', ')}`
+      }));
+  }
 
-  updatePublicRoomsList();
-}
+  function startGameRecording(room) {
+    const gameId = generateId();
+    games.set(gameId, {
+      id: gameId,
+      roomId: room.id,
+      status: 'inProgress',
+      startedAt: Date.now(),
+      endedAt: null,
+      settings: {
+        rounds: room.totalRounds,
+        drawTime: room.drawTime,
+        gameMode: room.gameMode,
+        language: room.language,
+        categories: room.categories
+      },
+      results: null,
+      turns: []
+    });
+    room.gameId = gameId;
+    room.turnRecording = null;
+  }
 
-app.get('/api/config', (req, res) => {
-  res.status(200).json(SERVER_CONFIG);
-});
-
-io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
-
-  // Send server configuration to client immediately on connection
-  socket.emit('serverConfig', SERVER_CONFIG);
-
-  socket.on('identifyUser', (data) => {
-    const { username, clientId, avatar } = data;
-    if (username) {
-      const sanitizedUsername = username.substring(0, 20).trim();
-      console.log(`Client connected - ID: ${clientId}, Username: ${sanitizedUsername}`);
-      if (clientId) {
-        usersByClientId.set(clientId, {
-          socketId: socket.id,
-          username: sanitizedUsername,
-          avatar: avatar || 0
-        });
-      }
-      const existingRoomId = findRoomByClientId(clientId);
-      if (existingRoomId) {
-        const room = rooms.get(existingRoomId);
-        if (room) {
-          socket.emit('rejoinPrompt', { roomId: existingRoomId, username: sanitizedUsername });
-        }
+  function startTurnRecording(room) {
+    const game = games.get(room.gameId);
+    if (!game) return;
+    room.turnRecording = createTurnRecording({
+      turnNumber: game.turns.length + 1,
+      round: room.round,
+      drawer: room.currentDrawer,
+      word: room.word
+    });
+  }
+
+  function finishTurnRecording(room, completed) {
+    const turn = room.turnRecording;
+    if (!turn) return;
+    room.turnRecording = null;
+    turn.endedAt = Date.now();
+    turn.completed = completed;
+    const game = games.get(room.gameId);
+    if (game) {
+      game.turns.push(turn);
+      if (turnHasDrawing(turn)) {
+        getDrawingSvg(getDrawingId(game.id, turn.turnNumber));
       }
     }
+  }
 
-    // Check maintenance mode
-    if (SERVER_CONFIG.MAINTENANCE_MODE) {
-      socket.emit('maintenanceMode', { 
-        message: SERVER_CONFIG.MAINTENANCE_MESSAGE 
-      });
-      return;
-    }
+  function getDrawingId(gameId, turnNumber) {
+    return `${gameId}-${turnNumber}`;
+  }
 
-    // Check username edit restrictions
-    if (SERVER_CONFIG.DISABLE_USERNAME_EDIT && data.username && data.username.startsWith('Player')) {
-      socket.emit('usernameRestricted', { 
-        message: "Changing the default username is currently disabled." 
-      });
-    }
-  });
-  socket.on('createRoom', (data) => {
-    try {
-      const { username, avatar = 0, clientId, isPrivate, isPublic } = data;
-      console.log(`Creating room request from ${username} (${socket.id}), isPublic: ${isPublic}`);
-      if (!username) {
-        return socket.emit('errorMessage', 'Username required');
-      }
-      const sanitizedUsername = username.substring(0, 20).trim();
-      if (clientId) {
-        usersByClientId.set(clientId, {
-          socketId: socket.id,
-          username: sanitizedUsername,
-          avatar: avatar || 0
-        });
-      }
+  function turnHasDrawing(turn) {
+    return turn.events.some(event => event.type === 'draw');
+  }
 
-      // Check maintenance mode
-      if (SERVER_CONFIG.MAINTENANCE_MODE) {
-        socket.emit('maintenanceMode', { 
-          message: SERVER_CONFIG.MAINTENANCE_MESSAGE 
-        });
-        return;
-      }
+  const drawingSvgCache = new Map();
 
-      // Enforce private rooms if flag is enabled
-      const isRoomPublic = SERVER_CONFIG.FORCE_PRIVATE_ROOMS ? false : (isPublic === true || (isPrivate === false));
-      const roomState = createRoomState(isRoomPublic, socket.id, sanitizedUsername, avatar);
-      const roomId = roomState.id;
-      console.log(`Explicitly joining socket ${socket.id} to room ${roomId}`);
-      socket.join(roomId);
-      socket.emit('roomCreated', { roomId });
-      socket.emit('joinedRoom', { 
-        roomId, 
-        players: roomState.players
-      });
-      console.log(`Room created: ${roomId}, Public: ${isRoomPublic}, Host: ${sanitizedUsername}`);
-    } catch (error) {
-      console.error('Error creating room:', error);
-      socket.emit('errorMessage', 'Failed to create room');
+  // Renders a turn's drawing on first use; recordings are the source of truth, so
+  // evicted or restored drawings are simply rendered again
+  function getDrawingSvg(drawingId) {
+    if (drawingSvgCache.has(drawingId)) {
+      return drawingSvgCache.get(drawingId);
     }
-  });
-  socket.on('joinRoom', (data) => {
-    console.log('Join room request received:', data);
-    const { roomId, username, avatar, clientId } = data;
-
-    if (!roomId || !username) {
-      socket.emit('errorMessage', 'Invalid room join request');
-      return;
+    const match = /^(.+)-(\d+)$/.exec(drawingId);
+    const game = match && games.get(match[1]);
+    const turn = game && game.turns.find(t => t.turnNumber === Number(match[2]));
+    if (!turn || !turnHasDrawing(turn)) return null;
+    const svg = renderTurnSvg(turn, {
+      width: RECORDING_CONFIG.DRAWING_WIDTH,
+      height: RECORDING_CONFIG.DRAWING_HEIGHT
+    });
+    drawingSvgCache.set(drawingId, svg);
+    if (drawingSvgCache.size > RECORDING_CONFIG.SVG_CACHE_SIZE) {
+      drawingSvgCache.delete(drawingSvgCache.keys().next().value);
     }
+    return svg;
+  }
 
-    const room = rooms.get(roomId);
-    if (!room) {
-      socket.emit('errorMessage', 'Room not found');
-      return;
-    }
+  function getGallery(game) {
+    return game.turns.filter(turnHasDrawing).map(turn => {
+      const drawingId = getDrawingId(game.id, turn.turnNumber);
+      return {
+        drawingId,
+        turnNumber: turn.turnNumber,
+        round: turn.round,
+        word: turn.word,
+        drawer: turn.drawer.username,
+        url: `/api/drawings/${drawingId}.svg`
+      };
+    });
+  }
 
-    if (room.players.length >= room.maxPlayers) {
-      socket.emit('errorMessage', 'Room is full');
-      return;
-    }
+  function finishGameRecording(room, sortedPlayers) {
+    finishTurnRecording(room, false);
+    const game = games.get(room.gameId);
+    if (!game || game.status !== 'inProgress') return;
+    game.status = 'finished';
+    game.endedAt = Date.now();
+    game.results = sortedPlayers.map(p => ({ id: p.id, username: p.username, score: p.score }));
+    pruneGameRecordings();
+  }
 
-    if (room.gameInProgress && !room.players.some(p => p.clientId === clientId)) {
-      socket.emit('errorMessage', 'Game is in progress');
-      return;
+  function abandonGameRecording(room) {
+    const game = games.get(room.gameId);
+    if (!game || game.status !== 'inProgress') return;
+    finishTurnRecording(room, false);
+    game.status = 'abandoned';
+    game.endedAt = Date.now();
+    pruneGameRecordings();
+  }
+
+  function pruneGameRecordings() {
+    const ended = Array.from(games.values())
+      .filter(game => game.status !== 'inProgress')
+      .sort((a, b) => a.endedAt - b.endedAt);
+    for (const game of ended.slice(0, Math.max(0, ended.length - RECORDING_CONFIG.MAX_FINISHED_GAMES))) {
+      games.delete(game.id);
+      for (const turn of game.turns) {
+        drawingSvgCache.delete(getDrawingId(game.id, turn.turnNumber));
+      }
     }
+  }
 
-    // If player is already in the room, update their socket
-    const existingPlayer = room.players.find(p => p.clientId === clientId);
-    if (existingPlayer) {
-      existingPlayer.id = socket.id;
-      existingPlayer.isConnected = true;
-      socket.join(roomId);
-      socket.emit('rejoinedRoom', {
-        roomId,
-        players: room.players,
-        gameState: room.gameState,
-        word: existingPlayer.isDrawing ? room.currentWord : undefined,
-        round: room.round,
-        totalRounds: room.totalRounds,
-        currentDrawer: room.currentDrawer?.id,
-        timeLeft: room.timeLeft,
-        chatMessages: room.chatHistory
-      });
-      io.to(roomId).emit('playerStatus', { players: room.players });
-      return;
+  function stopReplay(room) {
+    if (!room.replay) return;
+    clearInterval(room.replay.timer);
+    room.replay = null;
+  }
+
+  // Streams a recorded turn to everyone in the room, speeding its timeline up by `speed`
+  function startReplay(room, game, turnIndex, speed) {
+    stopReplay(room);
+    const turn = game.turns[turnIndex];
+    const timeline = buildTurnTimeline(turn);
+    const startedAt = Date.now();
+    let cursor = 0;
+    io.to(room.id).emit('replayStarted', {
+      gameId: game.id,
+      turn: turnIndex,
+      turnNumber: turn.turnNumber,
+      round: turn.round,
+      word: turn.word,
+      drawer: turn.drawer,
+      speed,
+      duration: Math.ceil((turn.endedAt - turn.startedAt) / speed)
+    });
+    room.replay = {
+      gameId: game.id,
+      turn: turnIndex,
+      speed,
+      timer: setInterval(() => {
+        const elapsed = (Date.now() - startedAt) * speed;
+        const events = [];
+        while (cursor < timeline.length && timeline[cursor].t <= elapsed) {
+          events.push(timeline[cursor]);
+          cursor++;
+        }
+        if (events.length > 0) {
+          io.to(room.id).emit('replayData', { turn: turnIndex, events });
+        }
+        if (cursor >= timeline.length) {
+          stopReplay(room);
+          io.to(room.id).emit('replayEnded', { turn: turnIndex });
+        }
+      }, RECORDING_CONFIG.REPLAY_TICK)
+    };
+  }
+
+  const ROOM_CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+  function pushChatHistory(room, message) {
+    if (!room.chatHistory) {
+      room.chatHistory = [];
+    }
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > 100) {
+      room.chatHistory.shift();
+    }
+    if (room.turnRecording) {
+      recordTurnChat(room.turnRecording, message);
     }
+  }
+
+  function addSystemMessage(roomId, message, type = 'system') {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    const systemMessage = {
+      id: `system-${Date.now()}`,
+      playerId: 'system',
+      username: 'System',
+      message,
+      isSystemMessage: true,
+      type,
+      timestamp: Date.now()
+    };
+    pushChatHistory(room, systemMessage);
+    io.to(roomId).emit('chatMessage', systemMessage);
+    scheduleCheckpoint();
+    return systemMessage;
+  }
 
-    const player = {
-      id: socket.id,
+  function createPlayer(socketId, { username, clientId, avatar, strokeProtocol = 0 }) {
+    return {
+      id: socketId,
       username,
       clientId,
-      avatar: avatar || 0,
+      avatar,
       score: 0,
-      isHost: room.players.length === 0,
+      isHost: false,
       isDrawing: false,
       hasGuessedCorrectly: false,
-      isConnected: true
+      isConnected: true,
+      strokeProtocol
     };
+  }
+
+  // Spectators get the room's broadcasts (drawing, time, player chat) and talk among
+  // themselves on a separate channel, so they can never hand players the word
+  function getSpectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+  }
 
-    room.players.push(player);
-    socket.join(roomId);
+  function emitSpectatorsUpdated(room) {
+    io.to(room.id).emit('spectatorsUpdated', { spectators: room.spectators });
+  }
 
-    console.log(`Player ${username} joined room ${roomId}`);
-    socket.emit('joinedRoom', { roomId, players: room.players });
-    io.to(roomId).emit('playerJoined', { players: room.players, player });
+  function addSpectator(socket, room, data) {
+    const { username, avatar, clientId } = data;
+    room.spectators = room.spectators || [];
+    let spectator = room.spectators.find(s => s.clientId === clientId);
+    if (!spectator) {
+      if (room.spectators.length >= SERVER_CONFIG.MAX_SPECTATORS_PER_ROOM) {
+        return socket.emit('errorMessage', 'Room has too many spectators');
+      }
+      spectator = { id: socket.id, username, clientId, avatar, wantsToPlay: false };
+      room.spectators.push(spectator);
+    }
+    spectator.id = socket.id;
+    spectator.strokeProtocol = getStrokeProtocol(data);
+    socket.join(room.id);
+    socket.join(getSpectatorChannel(room.id));
+    console.log(`Spectator ${username} joined room ${room.id}`);
+    socket.emit('joinedAsSpectator', {
+      roomId: room.id,
+      players: room.players,
+      spectators: room.spectators,
+      status: room.status,
+      round: room.round,
+      totalRounds: room.totalRounds,
+      currentDrawer: room.currentDrawer ? room.currentDrawer.id : null,
+      word: room.status === 'playing' ? getGameMode(room.gameMode).maskWord(room, room.word) : undefined,
+      timeLeft: room.timeLeft,
+      // Messages only correct guessers saw stay with them
+      chatMessages: (room.chatHistory || []).filter(message => !message.fromCorrectGuesser),
+      settings: getRoomSettings(room)
+    });
+    sendCanvasState(socket, room);
+    emitSpectatorsUpdated(room);
+    scheduleCheckpoint();
+  }
 
-    if (room.isPublic) {
-      updatePublicRoomInfo(roomId);
+  function removeSpectator(room, socketId) {
+    room.spectators = (room.spectators || []).filter(s => s.id !== socketId);
+    io.in(socketId).socketsLeave([room.id, getSpectatorChannel(room.id)]);
+    emitSpectatorsUpdated(room);
+    scheduleCheckpoint();
+  }
+
+  function sendSpectatorMessage(socket, room, rawMessage) {
+    const spectator = room.spectators.find(s => s.id === socket.id);
+    const moderation = moderateChatMessage(room, spectator, rawMessage);
+    if (!moderation.ok) {
+      return socket.emit('errorMessage', moderation.error);
+    }
+    io.to(getSpectatorChannel(room.id)).emit('spectatorMessage', {
+      id: uuidv4(),
+      playerId: socket.id,
+      username: spectator.username,
+      message: moderation.message,
+      timestamp: Date.now()
+    });
+  }
+
+  // Moves spectators who asked to play into the room, while it has space. Only
+  // happens between games, so they never join a rotation already under way.
+  function promoteSpectators(room) {
+    if (isGameInProgress(room)) return;
+    room.spectators = room.spectators || [];
+    const before = room.spectators.length;
+    const waiting = room.spectators.filter(s => s.wantsToPlay);
+    for (const spectator of waiting) {
+      if (room.players.length >= room.maxPlayers) break;
+      room.spectators = room.spectators.filter(s => s !== spectator);
+      const player = createPlayer(spectator.id, spectator);
+      room.players.push(player);
+      io.in(spectator.id).socketsLeave(getSpectatorChannel(room.id));
+      io.to(spectator.id).emit('promotedToPlayer', { roomId: room.id, players: room.players });
+      io.to(room.id).emit('playerJoined', { players: room.players, player });
+      console.log(`Spectator ${spectator.username} joined the game in room ${room.id}`);
+    }
+    if (room.spectators.length < before) {
+      emitSpectatorsUpdated(room);
+      updatePublicRoomInfo(room.id);
+      scheduleCheckpoint();
+    }
+  }
+
+  function kickPlayer(roomId, playerId, reason) {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return false;
+    console.log(`Kicking player ${player.username} from room ${roomId}: ${reason}`);
+    io.to(playerId).emit('kicked', { roomId, reason });
+    handlePlayerLeave({ id: playerId }, roomId, 0);
+    io.in(playerId).socketsLeave(roomId);
+    return true;
+  }
+
+  function setRoomHost(room, player) {
+    room.players.forEach(p => {
+      p.isHost = p === player;
+    });
+    room.hostId = player.id;
+    io.to(room.id).emit('hostChanged', { hostId: player.id, players: room.players });
+    updatePublicRoomInfo(room.id);
+  }
+
+  function banClient(room, clientId) {
+    if (!clientId) return;
+    room.bannedClientIds = room.bannedClientIds || [];
+    if (!room.bannedClientIds.includes(clientId)) {
+      room.bannedClientIds.push(clientId);
+    }
+  }
+
+  function isClientBanned(room, clientId) {
+    return Boolean(clientId && room.bannedClientIds && room.bannedClientIds.includes(clientId));
+  }
+
+  // Votes, cooldowns and immunity follow the player across reconnects via clientId
+  function getPlayerKey(player) {
+    return player.clientId || player.id;
+  }
+
+  function getVoteKickRequired(room, targetId) {
+    const eligible = room.players.filter(p => p.isConnected && p.id !== targetId).length;
+    return Math.floor(eligible / 2) + 1;
+  }
+
+  function getVoteKickStatus(room, vote) {
+    const target = room.players.find(p => p.id === vote.targetId);
+    return {
+      targetId: vote.targetId,
+      targetName: target ? target.username : 'Player',
+      votes: vote.voters.length,
+      required: getVoteKickRequired(room, vote.targetId),
+      expiresAt: vote.expiresAt
+    };
+  }
+
+  function endVoteKick(room, targetId) {
+    const vote = room.voteKicks && room.voteKicks[targetId];
+    if (!vote) return null;
+    clearTimeout(vote.timer);
+    delete room.voteKicks[targetId];
+    return vote;
+  }
+
+  function failVoteKick(roomId, targetId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const vote = endVoteKick(room, targetId);
+    if (!vote) return;
+    const status = getVoteKickStatus(room, vote);
+    room.voteKickImmunity = room.voteKickImmunity || {};
+    room.voteKickImmunity[`${vote.initiatorKey}:${vote.targetKey}`] = Date.now() + VOTE_KICK_CONFIG.IMMUNITY;
+    io.to(roomId).emit('voteKickFailed', status);
+    addSystemMessage(roomId, `Vote to kick ${status.targetName} failed`, 'vote-kick');
+  }
+
+  // Re-checks an open vote, e.g. after a vote is cast or a player leaves
+  function evaluateVoteKick(roomId, targetId) {
+    const room = rooms.get(roomId);
+    const vote = room && room.voteKicks && room.voteKicks[targetId];
+    if (!vote) return;
+    const target = room.players.find(p => p.id === targetId);
+    if (!target) {
+      endVoteKick(room, targetId);
+      return;
+    }
+    // Drop votes from players who have since left
+    vote.voters = vote.voters.filter(voterId => room.players.some(p => p.id === voterId));
+    const status = getVoteKickStatus(room, vote);
+    if (status.votes < status.required) {
+      io.to(roomId).emit('voteKickUpdate', status);
+      return;
+    }
+    endVoteKick(room, targetId);
+    console.log(`Vote kick passed against ${target.username} in room ${roomId}`);
+    io.to(roomId).emit('voteKickPassed', status);
+    banClient(room, target.clientId);
+    addSystemMessage(roomId, `${target.username} was kicked by vote`, 'vote-kick');
+    kickPlayer(roomId, targetId, 'Removed by a vote of the other players');
+  }
+
+  function castVoteKick(room, voter, target) {
+    room.voteKicks = room.voteKicks || {};
+    const existing = room.voteKicks[target.id];
+    if (existing) {
+      if (existing.voters.includes(voter.id)) {
+        return 'You already voted';
+      }
+      existing.voters.push(voter.id);
+      evaluateVoteKick(room.id, target.id);
+      return null;
+    }
+    const now = Date.now();
+    const connectedPlayers = room.players.filter(p => p.isConnected).length;
+    if (connectedPlayers < VOTE_KICK_CONFIG.MIN_PLAYERS) {
+      return `At least ${VOTE_KICK_CONFIG.MIN_PLAYERS} players are needed to start a vote`;
+    }
+    const voterKey = getPlayerKey(voter);
+    const targetKey = getPlayerKey(target);
+    room.voteKickCooldowns = room.voteKickCooldowns || {};
+    if (room.voteKickCooldowns[voterKey] > now) {
+      const seconds = Math.ceil((room.voteKickCooldowns[voterKey] - now) / 1000);
+      return `You can start another vote in ${seconds}s`;
+    }
+    room.voteKickImmunity = room.voteKickImmunity || {};
+    if (room.voteKickImmunity[`${voterKey}:${targetKey}`] > now) {
+      return `${target.username} survived your last vote and can't be voted on by you again yet`;
+    }
+    room.voteKickCooldowns[voterKey] = now + VOTE_KICK_CONFIG.COOLDOWN;
+    const vote = {
+      targetId: target.id,
+      targetKey,
+      initiatorKey: voterKey,
+      voters: [voter.id],
+      startedAt: now,
+      expiresAt: now + VOTE_KICK_CONFIG.DURATION,
+      timer: setTimeout(() => failVoteKick(room.id, target.id), VOTE_KICK_CONFIG.DURATION)
+    };
+    room.voteKicks[target.id] = vote;
+    io.to(room.id).emit('voteKickStarted', {
+      ...getVoteKickStatus(room, vote),
+      initiatorName: voter.username
+    });
+    addSystemMessage(room.id, `${voter.username} started a vote to kick ${target.username}`, 'vote-kick');
+    evaluateVoteKick(room.id, target.id);
+    return null;
+  }
+
+  function moderateChatMessage(room, player, message) {
+    return moderateMessage(room, getPlayerKey(player), message, {
+      maxLength: CHAT_CONFIG.MAX_MESSAGE_LENGTH,
+      rateLimit: CHAT_CONFIG.RATE_LIMIT,
+      rateWindow: CHAT_CONFIG.RATE_WINDOW,
+      maxDuplicates: CHAT_CONFIG.MAX_DUPLICATES,
+      duplicateWindow: CHAT_CONFIG.DUPLICATE_WINDOW,
+      blocklist: chatBlocklist
+    });
+  }
+
+  // Counts a blocked or redacted word leak and flags repeat offenders to the host
+  function recordWordLeak(room, player) {
+    const playerKey = getPlayerKey(player);
+    room.wordLeaks = room.wordLeaks || {};
+    room.wordLeaks[playerKey] = (room.wordLeaks[playerKey] || 0) + 1;
+    const count = room.wordLeaks[playerKey];
+    console.log(`Word leak by ${player.username} in room ${room.id} (${count} so far)`);
+    const host = room.players.find(p => p.isHost);
+    if (count >= CHAT_CONFIG.LEAK_FLAG_THRESHOLD && host && host.id !== player.id) {
+      io.to(host.id).emit('wordLeakFlagged', {
+        playerId: player.id,
+        username: player.username,
+        count
+      });
+    }
+  }
+
+  // A duration of 0 lifts the mute
+  function setPlayerMute(roomId, playerId, duration) {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return false;
+    if (duration <= 0) {
+      unmutePlayer(room, getPlayerKey(player));
+      io.to(roomId).emit('playerUnmuted', { playerId, username: player.username });
+      addSystemMessage(roomId, `${player.username} was unmuted`, 'mute');
+      return true;
+    }
+    const expiresAt = mutePlayer(room, getPlayerKey(player), Math.min(duration, CHAT_CONFIG.MAX_MUTE));
+    io.to(roomId).emit('playerMuted', { playerId, username: player.username, expiresAt });
+    addSystemMessage(roomId, `${player.username} was muted`, 'mute');
+    return true;
+  }
+
+  function announceDrawerLeft(room, drawerName) {
+    addSystemMessage(room.id, `${drawerName} left while drawing`, 'leave-drawing');
+    io.to(room.id).emit('drawerLeft', { drawerName });
+  }
+
+  function closeRoom(roomId, reason) {
+    if (!rooms.has(roomId)) return false;
+    console.log(`Closing room ${roomId}: ${reason}`);
+    io.to(roomId).emit('roomClosed', { roomId, reason });
+    io.in(roomId).socketsLeave([roomId, getSpectatorChannel(roomId)]);
+    destroyRoom(roomId);
+    updatePublicRoomsList();
+    scheduleCheckpoint();
+    return true;
+  }
+
+  function handlePlayerLeave(socket, roomId, recursionDepth = 0) {
+    // Prevent infinite recursion
+    if (recursionDepth > 1) {
+      console.warn(`Prevented recursive player leave handling for room ${roomId}`);
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    console.log(`Removing player ${socket.id} from room ${roomId}`);
+    const wasDrawing = room.currentDrawer && room.currentDrawer.id === socket.id;
+    const leavingPlayer = room.players.find(player => player.id === socket.id);
+    const leavingPlayerName = leavingPlayer ? leavingPlayer.username : 'Player';
+
+    // Update players list
+    room.players = room.players.filter(player => player.id !== socket.id);
+
+    // Handle empty room; spectators are told it closed
+    if (room.players.length === 0 && (room.spectators || []).length > 0) {
+      closeRoom(roomId, 'All players left');
+      return;
+    }
+    if (room.players.length === 0) {
+      destroyRoom(roomId);
+      console.log(`Room deleted: ${roomId}`);
+      updatePublicRoomsList();
+      scheduleCheckpoint();
+      return;
+    }
+
+    // Update host if needed
+    if (room.hostId === socket.id) {
+      setRoomHost(room, room.players[0]);
+    }
+
+    // Handle drawer leaving
+    if (wasDrawing) {
+      console.log(`Drawer ${leavingPlayerName} left during their turn`);
+      announceDrawerLeft(room, leavingPlayerName);
+      gameEngine.handleDrawerLeft(room);
+    } else {
+      // Regular player left message
+      const leaveMessage = {
+        id: `system-${Date.now()}`,
+        username: 'System',
+        message: `${leavingPlayerName} left the room`,
+        type: 'system',
+        timestamp: Date.now()
+      };
+
+      pushChatHistory(room, leaveMessage);
+      io.to(roomId).emit('chatMessage', leaveMessage);
+    }
+
+    // Notify remaining players
+    io.to(roomId).emit('playerLeft', {
+      players: room.players,
+      player: leavingPlayer
+    });
+
+    // Open votes shrink with the room, and a vote against the leaver is moot
+    for (const targetId of Object.keys(room.voteKicks || {})) {
+      evaluateVoteKick(roomId, targetId);
+    }
+
+    updatePublicRoomsList();
+    scheduleCheckpoint();
+  }
+
+  app.get('/api/config', (req, res) => {
+    res.status(200).json(SERVER_CONFIG);
+  });
+
+  app.get('/api/dictionaries', (req, res) => {
+    res.status(200).json({
+      defaultLanguage: DICTIONARY_CONFIG.DEFAULT_LANGUAGE,
+      dictionaries: describeDictionaries(dictionaries)
+    });
+  });
+
+  app.get('/api/scoring', (req, res) => {
+    res.status(200).json({ defaultRules: SCORING_CONFIG.DEFAULT_RULES, rules: describeScoringRules() });
+  });
+
+  app.get('/api/gameModes', (req, res) => {
+    res.status(200).json({ gameModes: describeGameModes() });
+  });
+
+  function sendLeaderboard(req, res, period) {
+    if (!profileStore) {
+      return res.status(404).json({ error: 'Profiles are disabled on this server' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || PROFILE_CONFIG.MAX_LISTED, PROFILE_CONFIG.MAX_LISTED);
+    res.status(200).json({ period, players: getLeaderboard(profiles, period, { limit }) });
+  }
+
+  app.get('/api/leaderboard', (req, res) => sendLeaderboard(req, res, 'global'));
+
+  app.get('/api/leaderboard/:period', (req, res) => {
+    const { period } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+      return res.status(400).json({ error: `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}` });
+    }
+    sendLeaderboard(req, res, period);
+  });
+
+  app.get('/api/profiles/:profileId', (req, res) => {
+    if (!profileStore) {
+      return res.status(404).json({ error: 'Profiles are disabled on this server' });
     }
+    const profile = describeProfile(profiles, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.status(200).json(profile);
+  });
+
+  app.get('/api/words/stats', (req, res) => {
+    const { tier } = req.query;
+    if (tier !== undefined && !TIERS.includes(tier)) {
+      return res.status(400).json({ error: `tier must be one of: ${TIERS.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, WORD_STATS_CONFIG.MAX_LISTED);
+    res.status(200).json({ words: listWordStats(wordStats, { tier, limit }) });
   });
-  socket.on('startGame', (settings) => {
+
+  app.get('/api/words/:word/stats', (req, res) => {
+    const stats = describeWordStats(wordStats, req.params.word);
+    if (!stats) {
+      return res.status(404).json({ error: 'No stats for this word' });
+    }
+    res.status(200).json(stats);
+  });
+
+  app.get('/api/games/:gameId/replay', (req, res) => {
+    const game = games.get(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    if (game.status !== 'finished') {
+      return res.status(409).json({ error: 'Game has not finished yet' });
+    }
+    res.attachment(`replay-${game.id}.json`);
+    res.status(200).json(toReplayFile(game));
+  });
+
+  app.get('/api/rooms/:roomId/gallery', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const game = games.get(room.gameId);
+    res.status(200).json({
+      roomId: room.id,
+      gameId: game ? game.id : null,
+      drawings: game ? getGallery(game) : []
+    });
+  });
+
+  app.get('/api/drawings/:drawingId.svg', (req, res) => {
+    const svg = getDrawingSvg(req.params.drawingId);
+    if (!svg) {
+      return res.status(404).json({ error: 'Drawing not found' });
+    }
+    res.type('image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.status(200).send(svg);
+  });
+
+  function tokensMatch(provided, expected) {
+    // Compare fixed-length digests so the check doesn't leak the token length or prefix
+    const providedDigest = crypto.createHash('sha256').update(provided).digest();
+    const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(providedDigest, expectedDigest);
+  }
+
+  function requireAdminToken(req, res, next) {
+    if (!ADMIN_CONFIG.TOKEN) {
+      return res.status(503).json({ error: 'Admin API is disabled' });
+    }
+    const authorization = req.get('authorization') || '';
+    const token = authorization.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length)
+      : req.get('x-admin-token') || '';
+    if (!token || !tokensMatch(token, ADMIN_CONFIG.TOKEN)) {
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+  }
+
+  function validateConfigPatch(patch) {
+    const errors = [];
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return { errors: ['Request body must be an object'], changes: {} };
+    }
+    const changes = {};
+    for (const [key, value] of Object.entries(patch)) {
+      if (!Object.prototype.hasOwnProperty.call(SERVER_CONFIG, key)) {
+        errors.push(`Unknown config key: ${key}`);
+      } else if (ADMIN_CONFIG.READ_ONLY_KEYS.includes(key)) {
+        errors.push(`${key} is read-only`);
+      } else if (typeof value !== typeof SERVER_CONFIG[key]) {
+        errors.push(`${key} must be a ${typeof SERVER_CONFIG[key]}`);
+      } else if (key === 'MAX_PLAYERS_PER_ROOM' &&
+                 (!Number.isInteger(value) || value < 2 || value > ADMIN_CONFIG.MAX_PLAYERS_LIMIT)) {
+        errors.push(`MAX_PLAYERS_PER_ROOM must be an integer between 2 and ${ADMIN_CONFIG.MAX_PLAYERS_LIMIT}`);
+      } else if (key === 'MAX_SPECTATORS_PER_ROOM' && (!Number.isInteger(value) || value < 0)) {
+        errors.push('MAX_SPECTATORS_PER_ROOM must be a non-negative integer');
+      } else if (key === 'DRAWER_RECONNECT_GRACE' && (!Number.isInteger(value) || value < 0 || value > 300)) {
+        errors.push('DRAWER_RECONNECT_GRACE must be an integer between 0 and 300');
+      } else {
+        changes[key] = value;
+      }
+    }
+    return { errors, changes };
+  }
+
+  function broadcastSystemMessage(message) {
+    for (const roomId of rooms.keys()) {
+      addSystemMessage(roomId, message, 'admin');
+    }
+  }
+
+  // Runs an admin action against a room owned by this node
+  function runRoomAdminAction(roomId, action, params = {}) {
+    switch (action) {
+      case 'close':
+        return closeRoom(roomId, params.reason || 'Closed by an administrator');
+      case 'kick':
+        return kickPlayer(roomId, params.playerId, params.reason || 'Removed by an administrator');
+      case 'broadcast':
+        return Boolean(addSystemMessage(roomId, params.message, 'admin'));
+      case 'mute':
+        return setPlayerMute(roomId, params.playerId, params.duration);
+      default:
+        return false;
+    }
+  }
+
+  // Applies a room action locally or forwards it to the node that owns the room
+  async function dispatchRoomAdminAction(req, res, action, params) {
+    const { roomId } = req.params;
+    if (rooms.has(roomId)) {
+      if (!runRoomAdminAction(roomId, action, params)) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+      return res.status(200).json({ ok: true });
+    }
+    const ownerNodeId = await cluster.registry.getRoomOwner(roomId);
+    if (!ownerNodeId || ownerNodeId === cluster.nodeId) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    await cluster.bus.publish(ownerNodeId, { type: 'adminAction', roomId, action, params });
+    res.status(202).json({ ok: true, forwardedTo: ownerNodeId });
+  }
+
+  const adminRouter = express.Router();
+  adminRouter.use(requireAdminToken);
+
+  adminRouter.get('/config', (req, res) => {
+    res.status(200).json(SERVER_CONFIG);
+  });
+
+  adminRouter.patch('/config', async (req, res) => {
+    const { errors, changes } = validateConfigPatch(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid config patch', details: errors });
+    }
+    Object.assign(SERVER_CONFIG, changes);
+    console.log('Server config updated by admin:', changes);
+    await cluster.bus.broadcast({ type: 'configUpdated', fromNode: cluster.nodeId, changes });
+    if (changes.FORCE_PRIVATE_ROOMS !== undefined) {
+      updatePublicRoomsList();
+    }
+    io.emit('serverConfig', SERVER_CONFIG);
+    res.status(200).json(SERVER_CONFIG);
+  });
+
+  adminRouter.get('/rooms', (req, res) => {
+    const roomList = Array.from(rooms.values()).map(room => ({
+      id: room.id,
+      isPublic: room.isPublic,
+      status: room.status,
+      gameMode: room.gameMode,
+      round: room.round,
+      totalRounds: room.totalRounds,
+      hostId: room.hostId,
+      currentDrawer: room.currentDrawer ? room.currentDrawer.id : null,
+      maxPlayers: room.maxPlayers,
+      lastActivity: room.lastActivity,
+      players: room.players.map(p => ({
+        id: p.id,
+        clientId: p.clientId,
+        username: p.username,
+        score: p.score,
+        isHost: p.isHost,
+        isDrawing: p.isDrawing,
+        isConnected: p.isConnected
+      })),
+      spectators: (room.spectators || []).length
+    }));
+    res.status(200).json({ nodeId: cluster.nodeId, rooms: roomList });
+  });
+
+  adminRouter.delete('/rooms/:roomId', (req, res) => {
+    return dispatchRoomAdminAction(req, res, 'close', { reason: req.body && req.body.reason });
+  });
+
+  adminRouter.post('/rooms/:roomId/kick', (req, res) => {
+    const { playerId, reason } = req.body || {};
+    if (typeof playerId !== 'string' || !playerId) {
+      return res.status(400).json({ error: 'playerId is required' });
+    }
+    return dispatchRoomAdminAction(req, res, 'kick', { playerId, reason });
+  });
+
+  adminRouter.post('/rooms/:roomId/mute', (req, res) => {
+    const { playerId, duration } = req.body || {};
+    if (typeof playerId !== 'string' || !playerId) {
+      return res.status(400).json({ error: 'playerId is required' });
+    }
+    if (duration !== undefined && (!Number.isFinite(duration) || duration < 0)) {
+      return res.status(400).json({ error: 'duration must be a non-negative number of seconds' });
+    }
+    const durationMs = duration === undefined ? CHAT_CONFIG.DEFAULT_MUTE : duration * 1000;
+    return dispatchRoomAdminAction(req, res, 'mute', { playerId, duration: durationMs });
+  });
+
+  adminRouter.post('/broadcast', async (req, res) => {
+    const { message, roomId } = req.body || {};
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+    const trimmedMessage = message.trim().substring(0, 500);
+    if (roomId) {
+      req.params.roomId = roomId;
+      return dispatchRoomAdminAction(req, res, 'broadcast', { message: trimmedMessage });
+    }
+    await cluster.bus.broadcast({ type: 'adminBroadcast', message: trimmedMessage });
+    res.status(200).json({ ok: true });
+  });
+
+  adminRouter.post('/dictionaries/reload', async (req, res) => {
     try {
+      const summary = reloadDictionaries();
+      await cluster.bus.broadcast({ type: 'reloadDictionaries', fromNode: cluster.nodeId });
+      res.status(200).json({ dictionaries: summary });
+    } catch (error) {
+      if (!(error instanceof DictionaryError)) throw error;
+      console.error('Dictionary reload failed, keeping the current dictionaries:', error.message, error.problems);
+      res.status(422).json({ error: error.message, problems: error.problems });
+    }
+  });
+
+  app.use('/api/admin', adminRouter);
+
+  // Sockets connected to this node whose room is owned by another node, keyed by socket id
+  const remoteRoutes = new Map();
+  // Stand-ins for sockets on other nodes whose events this node handles as the room owner
+  const remoteSockets = new Map();
+
+  function forwardSocketEvent(ownerNodeId, socketId, event, args) {
+    cluster.bus.publish(ownerNodeId, {
+      type: 'socketEvent',
+      fromNode: cluster.nodeId,
+      socketId,
+      event,
+      args
+    }).catch(error => console.error(`Error forwarding ${event} to node ${ownerNodeId}:`, error));
+  }
+
+  function routeSocketEvent(socket) {
+    return async (packet, next) => {
+      const [event, data] = packet;
+      try {
+        if (findUserRoom(socket.id) || findSpectatorRoom(socket.id)) {
+          return next();
+        }
+        if (event === 'joinRoom' && data && data.roomId && !rooms.has(data.roomId)) {
+          const ownerNodeId = await cluster.registry.getRoomOwner(data.roomId);
+          if (ownerNodeId && ownerNodeId !== cluster.nodeId) {
+            remoteRoutes.set(socket.id, ownerNodeId);
+          } else {
+            remoteRoutes.delete(socket.id);
+          }
+        }
+        const ownerNodeId = remoteRoutes.get(socket.id);
+        if (ownerNodeId && event !== 'createRoom' && event !== 'getPublicRooms' && event !== 'identifyUser') {
+          forwardSocketEvent(ownerNodeId, socket.id, event, packet.slice(1));
+          if (event === 'leaveRoom') {
+            remoteRoutes.delete(socket.id);
+          }
+          return;
+        }
+        next();
+      } catch (error) {
+        console.error(`Error routing ${event} from ${socket.id}:`, error);
+        next(error);
+      }
+    };
+  }
+
+  function getClientIp(socket) {
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    if (RATE_LIMIT_CONFIG.TRUST_PROXY && forwardedFor) {
+      // Proxies append the address they saw, so earlier entries may be forged by the client
+      return forwardedFor.split(',').pop().trim();
+    }
+    return socket.handshake.address;
+  }
+
+  function limitSocketEvents(socket) {
+    const limiter = createEventLimiter({
+      budgets: RATE_LIMIT_CONFIG.EVENT_BUDGETS,
+      defaultBudget: RATE_LIMIT_CONFIG.DEFAULT_BUDGET,
+      warnAfter: RATE_LIMIT_CONFIG.WARN_AFTER,
+      disconnectAfter: RATE_LIMIT_CONFIG.DISCONNECT_AFTER,
+      decay: RATE_LIMIT_CONFIG.VIOLATION_DECAY
+    });
+    return (packet, next) => {
+      const [event] = packet;
+      const { action, retryAfter } = limiter.consume(event);
+      if (action === 'allow') {
+        return next();
+      }
+      if (action === 'warn') {
+        console.log(`Rate limit warning for ${socket.id} (${socket.data.clientIp}) on ${event}`);
+        socket.emit('rateLimited', {
+          event,
+          retryAfter,
+          message: 'You are sending too many requests. Slow down or you will be disconnected.'
+        });
+      } else if (action === 'disconnect') {
+        console.log(`Disconnecting ${socket.id} (${socket.data.clientIp}) for exceeding rate limits on ${event}`);
+        socket.emit('rateLimited', { event, retryAfter, disconnected: true, message: 'Disconnected for sending too many requests' });
+        socket.disconnect(true);
+      }
+    };
+  }
+
+  function emitValidationError(socket, event, code, errors) {
+    socket.emit('validationError', { event, code, errors });
+  }
+
+  // Rejects malformed payloads before any handler sees them, and hands handlers the
+  // sanitized copy. Runs ahead of routing so forwarded events are already clean.
+  function validateSocketEvent(socket) {
+    return (packet, next) => {
+      const [event, payload] = packet;
+      const schema = EVENT_SCHEMAS[event];
+      if (!schema) {
+        return next();
+      }
+      const result = validate(schema, payload ?? {});
+      if (!result.ok) {
+        console.log(`Rejected ${event} from ${socket.id}: ${result.errors.map(error => error.message).join('; ')}`);
+        return emitValidationError(socket, event, 'INVALID_PAYLOAD', result.errors);
+      }
+      packet[1] = result.value;
+      next();
+    };
+  }
+
+  function createRemoteSocket(socketId) {
+    const handlers = new Map();
+    return {
+      id: socketId,
+      on(event, handler) {
+        handlers.set(event, handler);
+      },
+      emit(event, ...args) {
+        io.to(socketId).emit(event, ...args);
+      },
+      join(roomId) {
+        io.in(socketId).socketsJoin(roomId);
+      },
+      leave(roomId) {
+        io.in(socketId).socketsLeave(roomId);
+      },
+      dispatch(event, args) {
+        const handler = handlers.get(event);
+        if (handler) {
+          handler(...args);
+        }
+      }
+    };
+  }
+
+  function handleClusterMessage(message) {
+    if (message.type === 'configUpdated') {
+      if (message.fromNode !== cluster.nodeId) {
+        Object.assign(SERVER_CONFIG, message.changes);
+        if (message.changes.FORCE_PRIVATE_ROOMS !== undefined) {
+          updatePublicRoomsList();
+        }
+      }
+      return;
+    }
+    if (message.type === 'adminAction') {
+      runRoomAdminAction(message.roomId, message.action, message.params);
+      return;
+    }
+    if (message.type === 'reloadDictionaries') {
+      if (message.fromNode !== cluster.nodeId) {
+        try {
+          reloadDictionaries();
+        } catch (error) {
+          console.error('Dictionary reload failed, keeping the current dictionaries:', error.message, error.problems);
+        }
+      }
+      return;
+    }
+    if (message.type === 'adminBroadcast') {
+      broadcastSystemMessage(message.message);
+      return;
+    }
+    if (message.type !== 'socketEvent') return;
+    const { socketId, event, args } = message;
+    let socket = remoteSockets.get(socketId);
+    if (!socket) {
+      socket = createRemoteSocket(socketId);
+      registerSocketHandlers(socket);
+      remoteSockets.set(socketId, socket);
+    }
+    socket.dispatch(event, args);
+    if (event === 'disconnect') {
+      remoteSockets.delete(socketId);
+    }
+  }
+
+  cluster.bus.subscribe(cluster.nodeId, handleClusterMessage);
+
+  io.use((socket, next) => {
+    const clientIp = getClientIp(socket);
+    if (!connectionLimiter.acquire(clientIp)) {
+      console.log(`Refusing connection from ${clientIp}: too many open connections`);
+      const error = new Error('Too many connections from this address');
+      error.data = { code: 'TOO_MANY_CONNECTIONS' };
+      return next(error);
+    }
+    socket.data.clientIp = clientIp;
+    socket.once('disconnect', () => connectionLimiter.release(clientIp));
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    console.log('New client connected:', socket.id);
+
+    // Send server configuration to client immediately on connection
+    socket.emit('serverConfig', SERVER_CONFIG);
+
+    socket.use(limitSocketEvents(socket));
+    socket.use(validateSocketEvent(socket));
+    socket.use(routeSocketEvent(socket));
+    socket.on('disconnect', (reason) => {
+      const ownerNodeId = remoteRoutes.get(socket.id);
+      if (ownerNodeId) {
+        remoteRoutes.delete(socket.id);
+        forwardSocketEvent(ownerNodeId, socket.id, 'disconnect', [reason]);
+      }
+    });
+    registerSocketHandlers(socket);
+  });
+
+  // Registers game handlers on a connected socket, or on a stand-in for a socket on another node
+  function registerSocketHandlers(socket) {
+    socket.on('identifyUser', (data) => {
+      const { username } = data;
+      if (username) {
+        const clientId = startSession(socket, data);
+        console.log(`Client connected - ID: ${clientId}, Username: ${username}`);
+        const existingRoomId = findRoomByClientId(clientId);
+        if (existingRoomId) {
+          const room = rooms.get(existingRoomId);
+          if (room) {
+            socket.emit('rejoinPrompt', { roomId: existingRoomId, username });
+          }
+        }
+      }
+
+      // Check maintenance mode
+      if (SERVER_CONFIG.MAINTENANCE_MODE) {
+        socket.emit('maintenanceMode', { 
+          message: SERVER_CONFIG.MAINTENANCE_MESSAGE 
+        });
+        return;
+      }
+
+      // Check username edit restrictions
+      if (SERVER_CONFIG.DISABLE_USERNAME_EDIT && username && username.startsWith('Player')) {
+        socket.emit('usernameRestricted', { 
+          message: "Changing the default username is currently disabled." 
+        });
+      }
+    });
+    socket.on('createRoom', async (data) => {
+      try {
+        const { username, avatar, isPrivate, isPublic } = data;
+        console.log(`Creating room request from ${username} (${socket.id}), isPublic: ${isPublic}`);
+        const clientId = startSession(socket, data);
+
+        // Check maintenance mode
+        if (SERVER_CONFIG.MAINTENANCE_MODE) {
+          socket.emit('maintenanceMode', { 
+            message: SERVER_CONFIG.MAINTENANCE_MESSAGE 
+          });
+          return;
+        }
+
+        // Enforce private rooms if flag is enabled
+        const isRoomPublic = SERVER_CONFIG.FORCE_PRIVATE_ROOMS ? false : (isPublic === true || (isPrivate === false));
+        const roomState = createRoomState(await allocateRoomId(), isRoomPublic, socket.id, username, avatar, clientId);
+        const roomId = roomState.id;
+        roomState.players[0].strokeProtocol = getStrokeProtocol(data);
+        console.log(`Explicitly joining socket ${socket.id} to room ${roomId}`);
+        socket.join(roomId);
+        socket.emit('roomCreated', { roomId });
+        socket.emit('joinedRoom', { 
+          roomId, 
+          players: roomState.players,
+          settings: getRoomSettings(roomState)
+        });
+        console.log(`Room created: ${roomId}, Public: ${isRoomPublic}, Host: ${username}`);
+      } catch (error) {
+        console.error('Error creating room:', error);
+        socket.emit('errorMessage', 'Failed to create room');
+      }
+    });
+    socket.on('joinRoom', (data) => {
+      console.log('Join room request received:', data);
+      const { roomId, username, avatar } = data;
+
+      const room = rooms.get(roomId);
+      if (!room) {
+        socket.emit('errorMessage', 'Room not found');
+        return;
+      }
+      // Seats are matched on the verified clientId, so only its token can reclaim one
+      const clientId = startSession(socket, data);
+
+      if (isClientBanned(room, clientId)) {
+        socket.emit('errorMessage', 'You have been removed from this room');
+        return;
+      }
+
+      // Spectators skip the full and in-progress checks; a player rejoining can't become one
+      if (data.spectate && !room.players.some(p => p.clientId === clientId)) {
+        addSpectator(socket, room, { ...data, clientId });
+        return;
+      }
+
+      // Players rejoining their seat don't count against a full room
+      if (room.players.length >= room.maxPlayers && !room.players.some(p => p.clientId === clientId)) {
+        socket.emit('errorMessage', 'Room is full');
+        return;
+      }
+
+      if (room.gameInProgress && !room.players.some(p => p.clientId === clientId)) {
+        socket.emit('errorMessage', 'Game is in progress');
+        return;
+      }
+
+      // If player is already in the room, update their socket
+      const existingPlayer = room.players.find(p => p.clientId === clientId);
+      if (existingPlayer) {
+        existingPlayer.id = socket.id;
+        existingPlayer.isConnected = true;
+        // room.hostId is a socket id, so it follows the host to their new socket
+        if (existingPlayer.isHost) {
+          room.hostId = socket.id;
+        }
+        existingPlayer.strokeProtocol = getStrokeProtocol(data);
+        socket.join(roomId);
+        socket.emit('rejoinedRoom', {
+          roomId,
+          players: room.players,
+          gameState: room.gameState,
+          word: existingPlayer.isDrawing && room.status === 'playing' ? room.word : undefined,
+          round: room.round,
+          totalRounds: room.totalRounds,
+          currentDrawer: room.currentDrawer?.id,
+          timeLeft: room.timeLeft,
+          chatMessages: room.chatHistory,
+          settings: getRoomSettings(room)
+        });
+        sendCanvasState(socket, room);
+        io.to(roomId).emit('playerStatus', { players: room.players });
+        if (room.turnPaused && room.turnPaused.reason === 'drawer' && room.currentDrawer === existingPlayer) {
+          console.log(`Drawer ${existingPlayer.username} is back, resuming the turn in room ${roomId}`);
+          gameEngine.resumeTurn(room, 'drawer');
+        }
+        scheduleCheckpoint();
+        return;
+      }
+
+      const player = createPlayer(socket.id, { username, clientId, avatar, strokeProtocol: getStrokeProtocol(data) });
+      player.isHost = room.players.length === 0;
+
+      room.players.push(player);
+      socket.join(roomId);
+
+      console.log(`Player ${username} joined room ${roomId}`);
+      socket.emit('joinedRoom', { roomId, players: room.players, settings: getRoomSettings(room) });
+      sendCanvasState(socket, room);
+      io.to(roomId).emit('playerJoined', { players: room.players, player });
+
+      if (room.isPublic) {
+        updatePublicRoomInfo(roomId);
+      }
+      scheduleCheckpoint();
+    });
+    socket.on('startGame', (settings) => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          return socket.emit('errorMessage', 'User not found in any room');
+        }
+        const room = rooms.get(roomId);
+        if (!room) {
+          return socket.emit('errorMessage', 'Room not found');
+        }
+        promoteSpectators(room);
+        if (room.players.length < 2) {
+          return socket.emit('errorMessage', 'At least 2 players required to start');
+        }
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player || !player.isHost) {
+          return socket.emit('errorMessage', 'Only host can start the game');
+        }
+        if (isGameInProgress(room)) {
+          return socket.emit('errorMessage', 'Game is already in progress');
+        }
+        // Settings the host leaves out are the ones picked in the lobby
+        const gameSettings = { ...getRoomSettings(room), ...settings };
+        const settingErrors = getRoomSettingsErrors(room, gameSettings);
+        if (settingErrors.length > 0) {
+          return emitValidationError(socket, 'startGame', 'INVALID_PAYLOAD', settingErrors);
+        }
+        const modeError = getGameMode(gameSettings.gameMode).validateSettings(room, gameSettings);
+        if (modeError) {
+          return socket.emit('errorMessage', modeError);
+        }
+        applyRoomSettings(room, gameSettings);
+        io.to(roomId).emit('settingsUpdated', getRoomSettings(room));
+        getGameMode(room.gameMode).setup(room, gameSettings, GAME_MODE_CONTEXT);
+
+        const drawer = gameEngine.startGame(room);
+        console.log(`Game started in room ${roomId} with drawer ${drawer.username}`);
+      } catch (error) {
+        console.error('Error starting game:', error);
+        socket.emit('errorMessage', 'Failed to start game');
+      }
+    });
+    socket.on('updateSettings', (settings) => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          return socket.emit('errorMessage', 'User not found in any room');
+        }
+        const room = rooms.get(roomId);
+        const player = room && room.players.find(p => p.id === socket.id);
+        if (!player || !player.isHost) {
+          return socket.emit('errorMessage', 'Only the host can change settings');
+        }
+        if (isGameInProgress(room)) {
+          return socket.emit('errorMessage', 'Settings can\'t change during a game');
+        }
+        const roomSettings = { ...getRoomSettings(room), ...settings };
+        const settingErrors = getRoomSettingsErrors(room, roomSettings);
+        if (settingErrors.length > 0) {
+          return emitValidationError(socket, 'updateSettings', 'INVALID_PAYLOAD', settingErrors);
+        }
+        applyRoomSettings(room, roomSettings);
+        console.log(`Settings updated in room ${roomId}`);
+        io.to(roomId).emit('settingsUpdated', getRoomSettings(room));
+        updatePublicRoomInfo(roomId);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error updating settings:', error);
+      }
+    });
+    socket.on('disconnect', (reason) => {
+      console.log(`Client disconnected - Socket: ${socket.id}, Reason: ${reason}`);
+      const roomId = findUserRoom(socket.id);
+      if (roomId) {
+        const room = rooms.get(roomId);
+        if (room) {
+          console.log(`User disconnected: ${socket.id} from room: ${roomId}`);
+          const playerIndex = room.players.findIndex(p => p.id === socket.id);
+          if (playerIndex !== -1) {
+            const player = room.players[playerIndex];
+            const playerName = player.username;
+            room.players[playerIndex].isConnected = false;
+            room.players[playerIndex].disconnectedAt = Date.now();
+            const userData = usersByClientId.get(player.clientId);
+            if (userData) {
+              userData.isConnected = false;
+              userData.lastDisconnected = Date.now();
+              userData.socketId = socket.id;
+            }
+            io.to(roomId).emit('playerStatus', {
+              players: room.players
+            });
+            const wasDrawing = room.currentDrawer && room.currentDrawer.id === socket.id && (room.status === 'playing' || room.status === 'selecting');
+            const gracePeriod = SERVER_CONFIG.DRAWER_RECONNECT_GRACE;
+            if (wasDrawing && gracePeriod > 0 && gameEngine.pauseTurn(room, { gracePeriod })) {
+              // The turn waits for them; if they don't make it back, onPauseExpired removes them
+              console.log(`Drawer ${playerName} disconnected, pausing the turn for ${gracePeriod}s`);
+              addSystemMessage(roomId, `${playerName} disconnected while drawing. Waiting ${gracePeriod}s for them to return`, 'drawer-paused');
+            } else if (wasDrawing) {
+              console.log(`Drawer ${playerName} disconnected during their turn`);
+              handlePlayerLeave(socket, roomId, 0);
+            } else {
+              scheduleDisconnectedLeave(room, socket);
+            }
+          }
+        }
+      }
+      const spectatorRoomId = findSpectatorRoom(socket.id);
+      if (spectatorRoomId) {
+        removeSpectator(rooms.get(spectatorRoomId), socket.id);
+      }
+    });
+
+    function leaveRoom(socket, roomId) {
+      handlePlayerLeave(socket, roomId, 0);
+      socket.leave(roomId);
+    }
+
+    socket.on('leaveRoom', () => {
+      const roomId = findUserRoom(socket.id);
+      if (roomId) {
+        leaveRoom(socket, roomId);
+        return;
+      }
+      const spectatorRoomId = findSpectatorRoom(socket.id);
+      if (spectatorRoomId) {
+        removeSpectator(rooms.get(spectatorRoomId), socket.id);
+      }
+    });
+
+    socket.on('joinNextGame', (data) => {
+      try {
+        const { join = true } = data || {};
+        const roomId = findSpectatorRoom(socket.id);
+        if (!roomId) {
+          return socket.emit('errorMessage', 'You are not spectating a room');
+        }
+        const room = rooms.get(roomId);
+        const spectator = room.spectators.find(s => s.id === socket.id);
+        spectator.wantsToPlay = join;
+        emitSpectatorsUpdated(room);
+        // Between games there's no rotation to wait for
+        promoteSpectators(room);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error handling joinNextGame:', error);
+      }
+    });
+
+    socket.on('getPublicRooms', async () => {
+      try {
+        console.log(`Socket ${socket.id} requested public rooms`);
+        const publicRoomsInfo = await getPublicRoomsInfo();
+        console.log(`Sending ${publicRoomsInfo.length} public rooms:`, publicRoomsInfo);
+        socket.emit('publicRooms', publicRoomsInfo);
+      } catch (error) {
+        console.error('Error listing public rooms:', error);
+        socket.emit('errorMessage', 'Failed to load public rooms');
+      }
+    });
+
+    socket.on('selectWord', ({ word }) => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          console.error('No room found for socket ID:', socket.id);
+          return;
+        }
+        const room = rooms.get(roomId);
+        if (!room) {
+          console.error('Room not found with ID:', roomId);
+          return;
+        }
+        // Only a pick from the offered words says anything about the word
+        const offered = (room.wordOptions || []).includes(word);
+        if (!gameEngine.selectWord(room, socket.id, word)) {
+          console.error(`User ${socket.id} is not the current drawer or room is not in selecting state`);
+          return;
+        }
+        if (offered && isDictionaryWord(word)) {
+          recordPicked(wordStats, word);
+        }
+      } catch (error) {
+        console.error('Error selecting word:', error);
+      }
+    });
+
+    socket.on('chatMessage', ({ message: rawMessage, options }) => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          const spectatorRoomId = findSpectatorRoom(socket.id);
+          if (spectatorRoomId) {
+            return sendSpectatorMessage(socket, rooms.get(spectatorRoomId), rawMessage);
+          }
+          console.error('No room found for socket ID:', socket.id);
+          return;
+        }
+        const room = rooms.get(roomId);
+        if (!room) {
+          console.error('Room not found with ID:', roomId);
+          return;
+        }
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) {
+          console.error(`Player not found in room ${roomId}`);
+          return;
+        }
+        const moderation = moderateChatMessage(room, player, rawMessage);
+        if (!moderation.ok) {
+          return socket.emit('errorMessage', moderation.error);
+        }
+        let { message } = moderation;
+        // The drawer and players who already guessed must not give the word away
+        if ((player.isDrawing || player.hasGuessedCorrectly) && room.status === 'playing') {
+          const leaks = findWordLeaks(rawMessage, room.word);
+          if (leaks.length > 0) {
+            recordWordLeak(room, player);
+            if (player.isDrawing) {
+              return socket.emit('errorMessage', 'Your message was blocked because it gives away the word');
+            }
+            message = redactSpans(message, leaks);
+          }
+        }
+        if (!room.chatHistory) {
+          room.chatHistory = [];
+        }
+        if (player.isDrawing) {
+          const chatMessage = {
+            id: uuidv4(),
+            playerId: socket.id,
+            username: player.username,
+            message,
+            timestamp: Date.now()
+          };
+          pushChatHistory(room, chatMessage);
+          io.to(roomId).emit('chatMessage', chatMessage);
+          return;
+        }
+        if (player.hasGuessedCorrectly) {
+          const chatMessage = {
+            id: uuidv4(),
+            playerId: socket.id,
+            username: player.username,
+            message,
+            timestamp: Date.now(),
+            fromPlayerWhoGuessed: true,
+            fromCorrectGuesser: true
+          };
+          pushChatHistory(room, chatMessage);
+          room.players.forEach(p => {
+            if (p.hasGuessedCorrectly || p.isDrawing) {
+              io.to(p.id).emit('chatMessage', chatMessage);
+            }
+          });
+          return;
+        }
+        if (room.status === 'playing') {
+          // Guesses are checked before masking so a blocklisted word can still be guessed
+          const isCorrectGuess = gameEngine.isCorrectGuess(room, rawMessage);
+          const isCloseGuess = options && options.isCloseGuess === true;
+          if (isCorrectGuess && !gameEngine.canGuess(room, player)) {
+            // Broadcasting it would hand the word to the players who can still score
+            return socket.emit('errorMessage', 'Your team can\'t guess this drawing');
+          }
+          if (isCorrectGuess && room.turnPaused) {
+            return socket.emit('errorMessage', 'Guesses count again once the turn resumes');
+          }
+          if (isCorrectGuess) {
+            gameEngine.recordCorrectGuess(room, player);
+            const correctGuessMessage = {
+              id: uuidv4(),
+              playerId: 'system',
+              username: 'System',
+              message: `${player.username} guessed the word!`,
+              isSystemMessage: true,
+              isCorrectGuess: true,
+              type: 'correct',
+              timestamp: Date.now()
+            };
+            pushChatHistory(room, correctGuessMessage);
+            io.to(roomId).emit('chatMessage', correctGuessMessage);
+            io.to(roomId).emit('playerJoined', { 
+              players: room.players
+            });
+            io.to(socket.id).emit('wordGuessed', {
+              word: room.word
+            });
+            io.to(socket.id).emit('wordHint', {
+              hint: room.word,
+              hintNumber: 3,
+              fullWord: true
+            });
+          } else if (isCloseGuess) {
+            const closeGuessMessage = {
+              id: uuidv4(),
+              playerId: 'system',
+              username: 'System',
+              message: `${player.username} is close!`,
+              isSystemMessage: true,
+              type: 'close',
+              timestamp: Date.now()
+            };
+            pushChatHistory(room, closeGuessMessage);
+            io.to(roomId).emit('chatMessage', closeGuessMessage);
+            const chatMessage = {
+              id: uuidv4(),
+              playerId: socket.id,
+              username: player.username,
+              message,
+              timestamp: Date.now()
+            };
+            pushChatHistory(room, chatMessage);
+            io.to(roomId).emit('chatMessage', chatMessage);
+          } else {
+            const chatMessage = {
+              id: uuidv4(),
+              playerId: socket.id,
+              username: player.username,
+              message,
+              timestamp: Date.now()
+            };
+            pushChatHistory(room, chatMessage);
+            io.to(roomId).emit('chatMessage', chatMessage);
+          }
+        } else {
+          const chatMessage = {
+            id: uuidv4(),
+            playerId: socket.id,
+            username: player.username,
+            message,
+            timestamp: Date.now()
+          };
+          pushChatHistory(room, chatMessage);
+          io.to(roomId).emit('chatMessage', chatMessage);
+        }
+      } catch (error) {
+        console.error('Error handling chat message:', error);
+      }
+    });
+
+    // Update room activity tracker in drawing handler
+    socket.on('drawing', (data) => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          console.error('No room found for socket ID:', socket.id);
+          return;
+        }
+
+        // Get room and update last activity
+        const room = rooms.get(roomId);
+        if (!room) {
+          console.error('Room not found:', roomId);
+          return;
+        }
+
+        room.lastActivity = Date.now();
+
+        if (room.currentDrawer && room.currentDrawer.id !== socket.id) {
+          console.log('Ignoring drawing from non-drawer:', socket.id);
+          return;
+        }
+
+        if (isBinaryStroke(data)) {
+          const { ops } = decodeStrokes(data);
+          queueDrawing(room, binaryOpsToDrawings(ops).map(drawing => recordDrawing(room, drawing)), socket.id);
+          return;
+        }
+
+        // Handle different types of drawing data
+        if (data.type === 'clear' || data.clear) {
+          console.log(`Clearing canvas in room ${roomId}`);
+          resetCanvas(room);
+          if (room.turnRecording) {
+            recordTurnEvent(room.turnRecording, 'clear', null);
+          }
+          io.to(roomId).emit('drawingData', { clear: true });
+          return;
+        }
+
+        // Fills and line segments, already checked against the drawing schema
+        queueDrawing(room, [recordDrawing(room, data)], socket.id);
+      } catch (error) {
+        if (error instanceof StrokeDecodeError) {
+          console.error(`Invalid binary stroke message from ${socket.id}: ${error.message}`);
+          emitValidationError(socket, 'drawing', 'INVALID_STROKE', [
+            { path: '(payload)', code: 'INVALID_FORMAT', message: error.message }
+          ]);
+          return;
+        }
+        console.error('Error handling drawing data:', error);
+      }
+    });
+
+    socket.on('clearCanvas', () => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        if (!roomId) {
+          console.error('No room found for socket ID:', socket.id);
+          return;
+        }
+        const room = rooms.get(roomId);
+        if (!room) {
+          console.error('Room not found with ID:', roomId);
+          return;
+        }
+        if (!room.currentDrawer || room.currentDrawer.id !== socket.id || room.status !== 'playing') {
+          console.error(`User ${socket.id} is not the current drawer or room is not in playing state`);
+          return;
+        }
+        console.log(`Clearing canvas in room ${roomId} by ${socket.id}`);
+        resetCanvas(room);
+        if (room.turnRecording) {
+          recordTurnEvent(room.turnRecording, 'clear', null);
+        }
+        io.to(roomId).emit('canvasCleared');
+      } catch (error) {
+        console.error('Error handling clear canvas:', error);
+      }
+    });
+
+    function getDrawerRoom(action) {
       const roomId = findUserRoom(socket.id);
       if (!roomId) {
-        return socket.emit('errorMessage', 'User not found in any room');
+        console.error('No room found for socket ID:', socket.id);
+        return null;
       }
       const room = rooms.get(roomId);
+      if (!room) {
+        console.error('Room not found with ID:', roomId);
+        return null;
+      }
+      if (!room.currentDrawer || room.currentDrawer.id !== socket.id || room.status !== 'playing') {
+        console.error(`User ${socket.id} cannot ${action}: not the current drawer or room is not in playing state`);
+        return null;
+      }
+      room.lastActivity = Date.now();
+      return room;
+    }
+
+    function handleMuteRequest(playerId, duration) {
+      const roomId = findUserRoom(socket.id);
+      const room = roomId && rooms.get(roomId);
       if (!room) {
         return socket.emit('errorMessage', 'Room not found');
       }
-      if (room.players.length < 2) {
-        return socket.emit('errorMessage', 'At least 2 players required to start');
+      const host = room.players.find(p => p.id === socket.id);
+      if (!host || !host.isHost) {
+        return socket.emit('errorMessage', 'Only host can mute players');
       }
-      const player = room.players.find(p => p.id === socket.id);
-      if (!player || !player.isHost) {
-        return socket.emit('errorMessage', 'Only host can start the game');
+      if (playerId === socket.id) {
+        return socket.emit('errorMessage', 'You cannot mute yourself');
       }
+      if (!setPlayerMute(roomId, playerId, duration)) {
+        socket.emit('errorMessage', 'Player not found');
+      }
+    }
 
-      // Set game settings
-      room.drawTime = settings.drawTime || 80;
-      room.totalRounds = settings.rounds || 3;
+    socket.on('mutePlayer', (data) => {
+      try {
+        const { playerId, duration } = data || {};
+        const durationMs = Number.isFinite(duration) && duration > 0 ? duration * 1000 : CHAT_CONFIG.DEFAULT_MUTE;
+        handleMuteRequest(playerId, durationMs);
+      } catch (error) {
+        console.error('Error muting player:', error);
+      }
+    });
 
-      // Apply server-side restrictions to game settings
-      const maxAllowedPlayers = Math.min(settings.maxPlayers || 8, SERVER_CONFIG.MAX_PLAYERS_PER_ROOM);
-      room.maxPlayers = maxAllowedPlayers;
+    socket.on('unmutePlayer', (data) => {
+      try {
+        const { playerId } = data || {};
+        handleMuteRequest(playerId, 0);
+      } catch (error) {
+        console.error('Error unmuting player:', error);
+      }
+    });
 
-      room.gameMode = settings.gameMode || 'Normal';
-      room.hintsInterval = settings.hintsInterval || 2;
+    function getHostRoom(action) {
+      const roomId = findUserRoom(socket.id);
+      const room = roomId && rooms.get(roomId);
+      if (!room) {
+        socket.emit('errorMessage', 'Room not found');
+        return null;
+      }
+      const host = room.players.find(p => p.id === socket.id);
+      if (!host || !host.isHost) {
+        socket.emit('errorMessage', `Only host can ${action}`);
+        return null;
+      }
+      return room;
+    }
 
-      // Respect custom words flag
-      if (!SERVER_CONFIG.CUSTOM_WORDS_ENABLED) {
-        room.gameMode = 'Normal';
-        room.customWords = [];
-      } else if (room.gameMode === 'Custom Words' && settings.customWords) {
-        room.customWords = settings.customWords.split(',')
-          .map(word => word.trim())
-          .filter(word => word.length > 0 && word.length <= 30);
+    // The player a host action targets, other than the host
+    function getModerationTarget(room, playerId) {
+      const target = room.players.find(p => p.id === playerId);
+      if (!target) {
+        socket.emit('errorMessage', 'Player not found');
+        return null;
+      }
+      if (target.id === socket.id) {
+        socket.emit('errorMessage', 'You cannot do that to yourself');
+        return null;
       }
+      return target;
+    }
 
-      room.round = 1;
-      room.status = 'playing';
+    socket.on('kickPlayer', (data) => {
+      try {
+        const { playerId } = data || {};
+        const room = getHostRoom('kick players');
+        const target = room && getModerationTarget(room, playerId);
+        if (!target) return;
+        addSystemMessage(room.id, `${target.username} was kicked by the host`, 'kick');
+        kickPlayer(room.id, target.id, 'Removed by the host');
+      } catch (error) {
+        console.error('Error kicking player:', error);
+      }
+    });
 
-      // Instead of making the host the first drawer, pick a random player
-      const eligiblePlayers = room.players.filter(p => p.isConnected);
-      const randomDrawer = eligiblePlayers[Math.floor(Math.random() * eligiblePlayers.length)];
-      randomDrawer.isDrawing = true;
-      randomDrawer.hasDrawnThisRound = true;
-      room.currentDrawer = randomDrawer;
+    // Banned players can't rejoin or spectate for as long as the room exists
+    socket.on('banPlayer', (data) => {
+      try {
+        const { playerId } = data || {};
+        const room = getHostRoom('ban players');
+        const target = room && getModerationTarget(room, playerId);
+        if (!target) return;
+        banClient(room, target.clientId);
+        addSystemMessage(room.id, `${target.username} was banned by the host`, 'ban');
+        kickPlayer(room.id, target.id, 'Banned by the host');
+      } catch (error) {
+        console.error('Error banning player:', error);
+      }
+    });
 
-      io.to(roomId).emit('gameStarted', {
-        round: room.round,
-        totalRounds: room.totalRounds,
-        drawer: {
-          id: room.currentDrawer.id,
-          username: room.currentDrawer.username
+    socket.on('transferHost', (data) => {
+      try {
+        const { playerId } = data || {};
+        const room = getHostRoom('transfer host');
+        const target = room && getModerationTarget(room, playerId);
+        if (!target) return;
+        if (!target.isConnected) {
+          return socket.emit('errorMessage', 'Player is not connected');
         }
-      });
+        setRoomHost(room, target);
+        addSystemMessage(room.id, `${target.username} is now the host`, 'host');
+      } catch (error) {
+        console.error('Error transferring host:', error);
+      }
+    });
 
-      const wordOptions = room.gameMode === 'Custom Words' && room.customWords.length >= 3
-        ? room.customWords.sort(() => 0.5 - Math.random()).slice(0, 3)
-        : getRandomWords(3);
-      room.wordOptions = wordOptions;
-      io.to(room.currentDrawer.id).emit('wordSelection', { words: wordOptions });
-      room.timeLeft = 15;
-      room.status = 'selecting';
-      if (room.isPublic) {
-        updatePublicRoomInfo(roomId);
+    socket.on('pauseGame', () => {
+      try {
+        const room = getHostRoom('pause the game');
+        if (!room) return;
+        if (!gameEngine.pauseTurn(room, { reason: 'host' })) {
+          return socket.emit('errorMessage', 'There is no turn to pause');
+        }
+        addSystemMessage(room.id, 'The host paused the game', 'pause');
+      } catch (error) {
+        console.error('Error pausing game:', error);
       }
-      startGameTimer(roomId);
-      console.log(`Game started in room ${roomId} with drawer ${randomDrawer.username}`);
-    } catch (error) {
-      console.error('Error starting game:', error);
-      socket.emit('errorMessage', 'Failed to start game');
-    }
-  });
-  socket.on('disconnect', (reason) => {
-    console.log(`Client disconnected - Socket: ${socket.id}, Reason: ${reason}`);
-    const roomId = findUserRoom(socket.id);
-    if (roomId) {
-      const room = rooms.get(roomId);
-      if (room) {
-        console.log(`User disconnected: ${socket.id} from room: ${roomId}`);
-        const playerIndex = room.players.findIndex(p => p.id === socket.id);
-        if (playerIndex !== -1) {
-          const player = room.players[playerIndex];
-          const playerName = player.username;
-          room.players[playerIndex].isConnected = false;
-          room.players[playerIndex].disconnectedAt = Date.now();
-          const clientId = Object.keys(usersByClientId).find(id => 
-            usersByClientId.get(id).socketId === socket.id
-          );
-          if (clientId && usersByClientId.has(clientId)) {
-            const userData = usersByClientId.get(clientId);
-            userData.isConnected = false;
-            userData.lastDisconnected = Date.now();
-            userData.socketId = socket.id;
-          }
-          io.to(roomId).emit('playerStatus', {
-            players: room.players
-          });
-          const wasDrawing = room.currentDrawer && room.currentDrawer.id === socket.id && (room.status === 'playing' || room.status === 'selecting');
-          if (wasDrawing) {
-            console.log(`Drawer ${playerName} disconnected during their turn`);
-            const drawerLeftMessage = {
-              id: `system-${Date.now()}`,
-              playerId: 'system',
-              username: 'System',
-              message: `${playerName} left while drawing`,
-              isSystemMessage: true,
-              type: 'leave-drawing',
-              timestamp: Date.now()
-            };
-            if (room.chatHistory) {
-              room.chatHistory.push(drawerLeftMessage);
-              if (room.chatHistory.length > 100) {
-                room.chatHistory.shift();
-              }
-            }
-            io.to(roomId).emit('chatMessage', drawerLeftMessage);
-            io.to(roomId).emit('drawerLeft', { drawerName: playerName });
-            if (room.timer) {
-              clearInterval(room.timer);
-              room.timer = null;
-            }
-            handlePlayerLeave(socket, roomId, 0);
-            setTimeout(() => {
-              if (rooms.has(roomId)) {
-                startRound(roomId);
-              }
-            }, 2000);
-          } else {
-            setTimeout(() => {
-              const currentRoom = rooms.get(roomId);
-              if (currentRoom) {
-                const player = currentRoom.players.find(p => p.id === socket.id);
-                if (player && !player.isConnected) {
-                  handlePlayerLeave(socket, roomId, 0);
-                }
-              }
-            }, 30000);
-          }
+    });
+
+    socket.on('resumeGame', () => {
+      try {
+        const room = getHostRoom('resume the game');
+        if (!room) return;
+        // A turn waiting on its drawer resumes when they're back
+        if (!gameEngine.resumeTurn(room, 'host')) {
+          return socket.emit('errorMessage', 'The game is not paused');
         }
+        addSystemMessage(room.id, 'The host resumed the game', 'pause');
+      } catch (error) {
+        console.error('Error resuming game:', error);
       }
-    }
-  });
+    });
 
-  function leaveRoom(socket, roomId) {
-    handlePlayerLeave(socket, roomId, 0);
-    socket.leave(roomId);
-  }
-  
-  socket.on('leaveRoom', () => {
-    const roomId = findUserRoom(socket.id);
-    if (roomId) {
-      leaveRoom(socket, roomId);
-    }
-  });
-  
-  socket.on('getPublicRooms', () => {
-    console.log(`Socket ${socket.id} requested public rooms`);
-    const publicRoomsInfo = getPublicRoomsInfo();
-    console.log(`Sending ${publicRoomsInfo.length} public rooms:`, publicRoomsInfo);
-    socket.emit('publicRooms', publicRoomsInfo);
-  });
-  
-  socket.on('selectWord', ({ word }) => {
-    try {
-      const roomId = findUserRoom(socket.id);
-      if (!roomId) {
-        console.error('No room found for socket ID:', socket.id);
-        return;
+    socket.on('skipTurn', () => {
+      try {
+        const room = getHostRoom('skip turns');
+        if (!room) return;
+        const drawer = room.currentDrawer;
+        if (!gameEngine.skipTurn(room)) {
+          return socket.emit('errorMessage', 'There is no turn to skip');
+        }
+        addSystemMessage(room.id, `The host skipped ${drawer.username}'s turn`, 'skip');
+        // A drawer still in their reconnect grace period would otherwise never be removed
+        if (!drawer.isConnected) {
+          handlePlayerLeave({ id: drawer.id }, room.id, 0);
+        }
+      } catch (error) {
+        console.error('Error skipping turn:', error);
       }
-      const room = rooms.get(roomId);
+    });
+
+    function getHostLobby() {
+      const roomId = findUserRoom(socket.id);
+      const room = roomId && rooms.get(roomId);
       if (!room) {
-        console.error('Room not found with ID:', roomId);
-        return;
+        socket.emit('errorMessage', 'Room not found');
+        return null;
       }
-      if (!room.currentDrawer || room.currentDrawer.id !== socket.id || room.status !== 'selecting') {
-        console.error(`User ${socket.id} is not the current drawer or room is not in selecting state`);
-        return;
+      const host = room.players.find(p => p.id === socket.id);
+      if (!host || !host.isHost) {
+        socket.emit('errorMessage', 'Only host can set up teams');
+        return null;
       }
-      handleWordSelection(room, word);
-      console.log(`Word selected in room ${roomId}: ${word}`);
-    } catch (error) {
-      console.error('Error selecting word:', error);
-    }
-  });
-  
-  socket.on('chatMessage', ({ message, options }) => {
-    try {
-      const roomId = findUserRoom(socket.id);
-      if (!roomId) {
-        console.error('No room found for socket ID:', socket.id);
-        return;
+      if (room.status !== 'waiting' && room.status !== 'gameEnd') {
+        socket.emit('errorMessage', 'Teams can only be changed between games');
+        return null;
       }
-      const room = rooms.get(roomId);
-      if (!room) {
-        console.error('Room not found with ID:', roomId);
-        return;
+      return room;
+    }
+
+    socket.on('assignTeam', (data) => {
+      try {
+        const { playerId, teamId } = data || {};
+        const room = getHostLobby();
+        if (!room) return;
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+          return socket.emit('errorMessage', 'Player not found');
+        }
+        if (!getActiveTeams(room.teamCount).some(team => team.id === teamId)) {
+          return socket.emit('errorMessage', 'Team not found');
+        }
+        player.teamId = teamId;
+        emitTeamsUpdated(room);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error assigning team:', error);
       }
-      const player = room.players.find(p => p.id === socket.id);
-      if (!player) {
-        console.error(`Player not found in room ${roomId}`);
-        return;
+    });
+
+    socket.on('balanceTeams', (data) => {
+      try {
+        const { teamCount } = data || {};
+        const room = getHostLobby();
+        if (!room) return;
+        room.teamCount = teamCount || room.teamCount;
+        balanceTeams(room.players.filter(p => p.isConnected), room.teamCount, { reshuffle: true });
+        emitTeamsUpdated(room);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error balancing teams:', error);
       }
-      if (!room.chatHistory) {
-        room.chatHistory = [];
-      }
-      if (player.isDrawing) {
-        const chatMessage = {
-          id: uuidv4(),
-          playerId: socket.id,
-          username: player.username,
-          message,
-          timestamp: Date.now()
-        };
-        room.chatHistory.push(chatMessage);
-        if (room.chatHistory.length > 100) {
-          room.chatHistory.shift();
-        }
-        io.to(roomId).emit('chatMessage', chatMessage);
-        return;
+    });
+
+    socket.on('voteKick', (data) => {
+      try {
+        const { targetId } = data || {};
+        const roomId = findUserRoom(socket.id);
+        const room = roomId && rooms.get(roomId);
+        if (!room) {
+          return socket.emit('errorMessage', 'Room not found');
+        }
+        const voter = room.players.find(p => p.id === socket.id);
+        const target = room.players.find(p => p.id === targetId);
+        if (!voter || !target) {
+          return socket.emit('errorMessage', 'Player not found');
+        }
+        if (voter.id === target.id) {
+          return socket.emit('errorMessage', 'You cannot vote to kick yourself');
+        }
+        const error = castVoteKick(room, voter, target);
+        if (error) {
+          socket.emit('errorMessage', error);
+        }
+      } catch (error) {
+        console.error('Error handling vote kick:', error);
       }
-      if (player.hasGuessedCorrectly) {
-        const chatMessage = {
-          id: uuidv4(),
-          playerId: socket.id,
-          username: player.username,
-          message,
-          timestamp: Date.now(),
-          fromPlayerWhoGuessed: true,
-          fromCorrectGuesser: true
-        };
-        room.chatHistory.push(chatMessage);
-        if (room.chatHistory.length > 100) {
-          room.chatHistory.shift();
-        }
-        room.players.forEach(p => {
-          if (p.hasGuessedCorrectly || p.isDrawing) {
-            io.to(p.id).emit('chatMessage', chatMessage);
-          }
-        });
-        return;
+    });
+
+    socket.on('watchReplay', (data) => {
+      try {
+        const { turn, speed } = data || {};
+        const roomId = findUserRoom(socket.id);
+        const room = roomId && rooms.get(roomId);
+        if (!room) {
+          return socket.emit('errorMessage', 'Room not found');
+        }
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player || !player.isHost) {
+          return socket.emit('errorMessage', 'Only host can start a replay');
+        }
+        if (isGameInProgress(room)) {
+          return socket.emit('errorMessage', 'Replays are only available between games');
+        }
+        const game = games.get(room.gameId);
+        if (!game || turn >= game.turns.length) {
+          return socket.emit('errorMessage', 'Turn not found');
+        }
+        startReplay(room, game, turn, speed);
+      } catch (error) {
+        console.error('Error starting replay:', error);
       }
-      if (room.status === 'playing') {
-        const normalizedGuess = message.toLowerCase().trim();
-        const normalizedWord = room.word.toLowerCase().trim();
-        const isExactMatch = normalizedGuess === normalizedWord;
-        const isCloseEnough = normalizedGuess.length > 6 && 
-                            normalizedWord.length > 6 && 
-                            levenshteinDistance(normalizedGuess, normalizedWord) === 1;
-        const isCloseGuess = options && options.isCloseGuess === true;
-        if (isExactMatch || isCloseEnough) {
-          player.hasGuessedCorrectly = true;
-          const scoreGain = Math.ceil((room.timeLeft / room.drawTime) * 100) + 50;
-          player.score += scoreGain;
-          const correctGuessMessage = {
-            id: uuidv4(),
-            playerId: 'system',
-            username: 'System',
-            message: `${player.username} guessed the word!`,
-            isSystemMessage: true,
-            isCorrectGuess: true,
-            type: 'correct',
-            timestamp: Date.now()
-          };
-          room.chatHistory.push(correctGuessMessage);
-          if (room.chatHistory.length > 100) {
-            room.chatHistory.shift();
-          }
-          io.to(roomId).emit('chatMessage', correctGuessMessage);
-          io.to(roomId).emit('playerJoined', { 
-            players: room.players
-          });
-          io.to(socket.id).emit('wordGuessed', {
-            word: room.word
-          });
-          io.to(socket.id).emit('wordHint', {
-            hint: room.word,
-            hintNumber: 3,
-            fullWord: true
-          });
-          const allNonDrawersGuessed = room.players.filter(p => !p.disconnected).every(p => 
-            p.id === room.currentDrawer.id || p.hasGuessedCorrectly || p.disconnected
-          );
-          if (allNonDrawersGuessed) {
-            clearInterval(room.timer);
-            setTimeout(() => {
-              endRound(roomId);
-            }, 1500);
-          }
-        } else if (isCloseGuess) {
-          const closeGuessMessage = {
-            id: uuidv4(),
-            playerId: 'system',
-            username: 'System',
-            message: `${player.username} is close!`,
-            isSystemMessage: true,
-            type: 'close',
-            timestamp: Date.now()
-          };
-          room.chatHistory.push(closeGuessMessage);
-          if (room.chatHistory.length > 100) {
-            room.chatHistory.shift();
-          }
-          io.to(roomId).emit('chatMessage', closeGuessMessage);
-          const chatMessage = {
-            id: uuidv4(),
-            playerId: socket.id,
-            username: player.username,
-            message,
-            timestamp: Date.now()
-          };
-          room.chatHistory.push(chatMessage);
-          if (room.chatHistory.length > 100) {
-            room.chatHistory.shift();
-          }
-          io.to(roomId).emit('chatMessage', chatMessage);
-        } else {
-          const chatMessage = {
-            id: uuidv4(),
-            playerId: socket.id,
-            username: player.username,
-            message,
-            timestamp: Date.now()
-          };
-          room.chatHistory.push(chatMessage);
-          if (room.chatHistory.length > 100) {
-            room.chatHistory.shift();
-          }
-          room.players.forEach(p => {
-            if (p.hasGuessedCorrectly || p.isDrawing || !p.hasGuessedCorrectly) {
-              io.to(p.id).emit('chatMessage', chatMessage);
-            }
-          });
+    });
+
+    socket.on('stopReplay', () => {
+      try {
+        const roomId = findUserRoom(socket.id);
+        const room = roomId && rooms.get(roomId);
+        if (!room || !room.replay) return;
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player || !player.isHost) {
+          return socket.emit('errorMessage', 'Only host can stop a replay');
         }
-      } else {
-        const chatMessage = {
-          id: uuidv4(),
-          playerId: socket.id,
-          username: player.username,
-          message,
-          timestamp: Date.now()
-        };
-        room.chatHistory.push(chatMessage);
-        if (room.chatHistory.length > 100) {
-          room.chatHistory.shift();
-        }
-        io.to(roomId).emit('chatMessage', chatMessage);
+        const { turn } = room.replay;
+        stopReplay(room);
+        io.to(room.id).emit('replayEnded', { turn });
+      } catch (error) {
+        console.error('Error stopping replay:', error);
       }
-    } catch (error) {
-      console.error('Error handling chat message:', error);
-    }
-  });
-  
-  // Update room activity tracker in drawing handler
-  socket.on('drawing', (data) => {
-    try {
-      const roomId = findUserRoom(socket.id);
-      if (!roomId) {
-        console.error('No room found for socket ID:', socket.id);
-        return;
+    });
+
+    socket.on('strokeStart', () => {
+      try {
+        const room = getDrawerRoom('start a stroke');
+        if (!room) return;
+        room.currentStrokeId = beginStroke(room);
+      } catch (error) {
+        console.error('Error handling stroke start:', error);
       }
-      
-      // Get room and update last activity
-      const room = rooms.get(roomId);
-      if (!room) {
-        console.error('Room not found:', roomId);
-        return;
+    });
+
+    socket.on('strokeEnd', () => {
+      try {
+        const room = getDrawerRoom('end a stroke');
+        if (!room) return;
+        room.currentStrokeId = null;
+        room.lastSegment = null;
+      } catch (error) {
+        console.error('Error handling stroke end:', error);
       }
-      
-      room.lastActivity = Date.now();
-      
-      if (room.currentDrawer && room.currentDrawer.id !== socket.id) {
-        console.log('Ignoring drawing from non-drawer:', socket.id);
-        return;
+    });
+
+    socket.on('undo', () => {
+      try {
+        const room = getDrawerRoom('undo');
+        if (!room) return;
+        const strokeId = undoStroke(room);
+        if (strokeId === null) return;
+        if (room.turnRecording) {
+          recordTurnEvent(room.turnRecording, 'undo', { strokeId });
+        }
+        socket.emit('strokeUndone', { strokeId, canvas: getCanvasState(room) });
+        queueCanvasChange(room, 'strokeUndone', strokeId, socket.id);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error handling undo:', error);
       }
-      
-      // Handle different types of drawing data
-      if (data.type === 'clear' || data.clear) {
-        console.log(`Clearing canvas in room ${roomId}`);
-        room.drawingHistory = [];
-        io.to(roomId).emit('drawingData', { clear: true });
-        return;
+    });
+
+    socket.on('redo', () => {
+      try {
+        const room = getDrawerRoom('redo');
+        if (!room) return;
+        const strokeId = redoStroke(room);
+        if (strokeId === null) return;
+        if (room.turnRecording) {
+          recordTurnEvent(room.turnRecording, 'redo', { strokeId });
+        }
+        socket.emit('strokeRedone', { strokeId, canvas: getCanvasState(room) });
+        queueCanvasChange(room, 'strokeRedone', strokeId, socket.id);
+        scheduleCheckpoint();
+      } catch (error) {
+        console.error('Error handling redo:', error);
       }
-      
-      if (data.fill) {
-        // Handle fill events
-        if (typeof data.x === 'number' && typeof data.y === 'number' && data.color) {
-          console.log(`Received fill event from ${socket.id} to room ${roomId}: Fill at (${data.x},${data.y}) with color ${data.color}`);
-          room.drawingHistory.push(data);
-          io.to(roomId).emit('drawingData', data);
-        } else {
-          console.error('Invalid fill coordinates:', data);
+    });
+  }
+
+  // Update room cleanup interval logic 
+  const cleanupInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [roomId, room] of rooms.entries()) {
+      // Update inactive player cleanup. A drawer the turn is waiting on is left to
+      // the grace period, which may run longer than this.
+      const awaitedDrawer = room.turnPaused && room.turnPaused.reason === 'drawer' ? room.currentDrawer : null;
+      room.players = room.players.filter(player => {
+        if (player !== awaitedDrawer && !player.isConnected && player.disconnectedAt && (now - player.disconnectedAt > 120000)) {
+          console.log(`Removing inactive player ${player.username} from room ${roomId}`);
+          return false;
         }
-        return;
+        return true;
+      });
+
+      // Only cleanup room if:
+      // 1. No players left OR
+      // 2. Room has been inactive for 30 minutes AND game is not in progress
+      if (room.players.length === 0 || 
+         (now - room.lastActivity > 1800000 && !isGameInProgress(room))) {
+        console.log(`Deleting inactive room: ${roomId}`);
+        destroyRoom(roomId);
       }
-      
-      // Handle line drawing
-      if (typeof data.x0 === 'number' && 
-          typeof data.y0 === 'number' && 
-          typeof data.x1 === 'number' && 
-          typeof data.y1 === 'number') {
-        console.log(`Drawing line from (${data.x0},${data.y0}) to (${data.x1},${data.y1})`);
-        room.drawingHistory.push(data);
-        io.to(roomId).emit('drawingData', data);
-      } else {
-        console.error('Invalid drawing coordinates received:', data);
+    }
+
+    // Update user session cleanup
+    for (const [clientId, userData] of usersByClientId.entries()) {
+      if (!userData.isConnected && userData.lastDisconnected && (now - userData.lastDisconnected > 3600000)) {
+        console.log(`Cleaning up stale user session for client ${clientId}`);
+        usersByClientId.delete(clientId);
       }
-    } catch (error) {
-      console.error('Error handling drawing data:', error);
     }
+
+    updatePublicRoomsList();
+  }, 60000); // Run cleanup every minute
+
+  app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   });
-  
-  socket.on('clearCanvas', () => {
-    try {
-      const roomId = findUserRoom(socket.id);
-      if (!roomId) {
-        console.error('No room found for socket ID:', socket.id);
-        return;
+
+  const stateStore = createStateStore({
+    type: stateStoreType,
+    filePath: stateFile
+  });
+  let checkpointTimeout = null;
+  let checkpointInFlight = false;
+  let lastCheckpoint = null;
+
+  // Room fields that only make sense inside the running process
+  const TRANSIENT_ROOM_KEYS = new Set([
+    'pendingDrawing',
+    'pendingDrawingFrom',
+    'pendingCanvasChange',
+    'pendingCanvasRecipients',
+    'drawingFlushTimer',
+    'leaveTimers',
+    'replay',
+    'voteKicks'
+  ]);
+
+  function serializeRoom(room) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(room)) {
+      if (!TRANSIENT_ROOM_KEYS.has(key)) {
+        serialized[key] = value;
       }
-      const room = rooms.get(roomId);
-      if (!room) {
-        console.error('Room not found with ID:', roomId);
-        return;
+    }
+    return serialized;
+  }
+
+  function serializeState() {
+    return {
+      version: 1,
+      savedAt: Date.now(),
+      rooms: Array.from(rooms.values()).map(serializeRoom),
+      // Finished recordings are only kept for replays and galleries, and would make
+      // every checkpoint grow with each game played
+      games: Array.from(games.entries()).filter(([, game]) => game.status === 'inProgress'),
+      users: Array.from(usersByClientId.entries()),
+      wordStats
+    };
+  }
+
+  function checkpointState() {
+    if (!stateStore || checkpointInFlight) return;
+    const snapshot = serializeState();
+    const serialized = JSON.stringify({ ...snapshot, savedAt: 0 });
+    if (serialized === lastCheckpoint) return;
+    checkpointInFlight = true;
+    stateStore.save(snapshot)
+      .then(() => {
+        lastCheckpoint = serialized;
+      })
+      .catch(error => {
+        console.error('Error checkpointing server state:', error);
+      })
+      .finally(() => {
+        checkpointInFlight = false;
+      });
+  }
+
+  function scheduleCheckpoint() {
+    if (!stateStore || checkpointTimeout) return;
+    checkpointTimeout = setTimeout(() => {
+      checkpointTimeout = null;
+      checkpointState();
+    }, PERSISTENCE_CONFIG.CHECKPOINT_DEBOUNCE);
+  }
+
+  const profileStore = createStateStore({
+    type: profileStoreType,
+    filePath: options.profileFile || PROFILE_CONFIG.FILE_PATH
+  });
+  let profileSaveTimeout = null;
+
+  function scheduleProfileSave() {
+    if (!profileStore || profileSaveTimeout) return;
+    profileSaveTimeout = setTimeout(() => {
+      profileSaveTimeout = null;
+      profileStore.save({ version: 1, savedAt: Date.now(), profiles })
+        .catch(error => console.error('Error saving player profiles:', error));
+    }, PROFILE_CONFIG.SAVE_DEBOUNCE);
+  }
+
+  async function loadProfiles() {
+    if (!profileStore) return;
+    try {
+      const snapshot = await profileStore.load();
+      profiles = (snapshot && snapshot.profiles) || {};
+      console.log(`Loaded ${Object.keys(profiles).length} player profiles`);
+    } catch (error) {
+      console.error('Error loading player profiles, starting fresh:', error);
+    }
+  }
+
+  // Correct guesses and guess time per player over the current game
+  function recordProfileGuess(room, player, seconds) {
+    room.guessStats = room.guessStats || {};
+    const key = getPlayerKey(player);
+    const stats = room.guessStats[key] || { correctGuesses: 0, guessTime: 0 };
+    stats.correctGuesses++;
+    stats.guessTime += seconds;
+    room.guessStats[key] = stats;
+  }
+
+  // Adds a finished game to the profile of every player with a clientId, and sends
+  // each of them their updated profile
+  function recordProfileResults(room, standings) {
+    if (!profileStore) return;
+    const players = standings.filter(player => player.clientId);
+    const updated = recordGameResults(profiles, players.map(player => ({
+      clientId: player.clientId,
+      username: player.username,
+      avatar: player.avatar,
+      score: player.score,
+      ...((room.guessStats || {})[player.clientId] || { correctGuesses: 0, guessTime: 0 })
+    })));
+    players.forEach((player, index) => {
+      io.to(player.id).emit('profileUpdated', describeProfile(profiles, updated[index].id));
+    });
+    room.guessStats = {};
+    scheduleProfileSave();
+  }
+
+  async function restoreState() {
+    if (!stateStore) return;
+    let snapshot;
+    try {
+      snapshot = await stateStore.load();
+    } catch (error) {
+      console.error('Error loading server state, starting fresh:', error);
+      return;
+    }
+    if (!snapshot) return;
+    const now = Date.now();
+    for (const savedRoom of snapshot.rooms || []) {
+      // Another node may have already taken over this room from a shared checkpoint
+      if (!(await cluster.registry.claimRoom(savedRoom.id, cluster.nodeId))) {
+        console.log(`Skipping room ${savedRoom.id}, it is owned by another node`);
+        continue;
       }
-      if (!room.currentDrawer || room.currentDrawer.id !== socket.id || room.status !== 'playing') {
-        console.error(`User ${socket.id} is not the current drawer or room is not in playing state`);
-        return;
+      const room = { ...savedRoom, lastActivity: now };
+      // Every socket from the previous process is gone, so players rejoin by clientId
+      room.players.forEach(player => {
+        player.isConnected = false;
+        player.disconnectedAt = now;
+      });
+      // Spectators hold no state worth keeping and rejoin like anyone else
+      room.spectators = [];
+      // currentDrawer and lastDrawer must point at the player objects again
+      room.currentDrawer = room.currentDrawer
+        ? room.players.find(p => p.id === room.currentDrawer.id) || null
+        : null;
+      room.lastDrawer = room.lastDrawer
+        ? room.players.find(p => p.id === room.lastDrawer.id) || null
+        : null;
+      rooms.set(room.id, room);
+    }
+    for (const [gameId, game] of snapshot.games || []) {
+      games.set(gameId, game);
+    }
+    for (const [clientId, userData] of snapshot.users || []) {
+      usersByClientId.set(clientId, { ...userData, isConnected: false, lastDisconnected: now });
+    }
+    wordStats = createWordStats(snapshot.wordStats);
+    updatePublicRoomsList();
+    for (const room of rooms.values()) {
+      if (isGameInProgress(room)) {
+        console.log(`Resuming ${room.status} state in room ${room.id} with ${room.timeLeft}s left`);
       }
-      console.log(`Clearing canvas in room ${roomId} by ${socket.id}`);
-      room.drawingHistory = [];
-      io.to(roomId).emit('canvasCleared');
-    } catch (error) {
-      console.error('Error handling clear canvas:', error);
+      gameEngine.resume(room);
     }
-  });
-});
-
-// Update room cleanup interval logic 
-setInterval(() => {
-  const now = Date.now();
-  for (const [roomId, room] of rooms.entries()) {
-    // Update inactive player cleanup
-    room.players = room.players.filter(player => {
-      if (!player.isConnected && player.disconnectedAt && (now - player.disconnectedAt > 120000)) {
-        console.log(`Removing inactive player ${player.username} from room ${roomId}`);
-        return false;
+    console.log(`Restored ${rooms.size} rooms from checkpoint saved at ${new Date(snapshot.savedAt).toISOString()}`);
+  }
+
+  const checkpointInterval = stateStore ? setInterval(checkpointState, PERSISTENCE_CONFIG.CHECKPOINT_INTERVAL) : null;
+
+  async function heartbeat() {
+    await cluster.registry.heartbeat(cluster.nodeId);
+    // If this node stalled long enough for another node to take a room over, stop
+    // running it here so its timers never fire on two nodes
+    for (const roomId of rooms.keys()) {
+      const ownerNodeId = await cluster.registry.getRoomOwner(roomId);
+      if (ownerNodeId && ownerNodeId !== cluster.nodeId) {
+        const room = rooms.get(roomId);
+        console.warn(`Room ${roomId} is now owned by node ${ownerNodeId}, dropping local copy`);
+        rooms.delete(roomId);
+        if (room) {
+          gameEngine.stop(room);
+        }
       }
-      return true;
-    });
+    }
+  }
 
-    // Only cleanup room if:
-    // 1. No players left OR
-    // 2. Room has been inactive for 30 minutes AND game is not in progress
-    if (room.players.length === 0 || 
-       (now - room.lastActivity > 1800000 && room.status !== 'playing' && room.status !== 'selecting')) {
-      const roomTimer = room.timer;
-      console.log(`Deleting inactive room: ${roomId}`);
-      rooms.delete(roomId);
-      if (roomTimer) {
-        clearInterval(roomTimer);
+  const heartbeatInterval = setInterval(() => {
+    heartbeat().catch(error => console.error('Error sending cluster heartbeat:', error));
+  }, CLUSTER_CONFIG.HEARTBEAT_INTERVAL);
+
+  // Writes the rooms and any unsaved profiles out before the process exits
+  function saveSync() {
+    if (stateStore && stateStore.saveSync) {
+      try {
+        stateStore.saveSync(serializeState());
+      } catch (error) {
+        console.error('Error saving server state on shutdown:', error);
       }
     }
+    if (profileStore && profileSaveTimeout) {
+      try {
+        profileStore.saveSync({ version: 1, savedAt: Date.now(), profiles });
+      } catch (error) {
+        console.error('Error saving player profiles on shutdown:', error);
+      }
+    }
+  }
+
+  // Restores this node's share of the checkpoint and starts accepting connections
+  async function listen(port, host = '0.0.0.0') {
+    await heartbeat();
+    await restoreState();
+    await loadProfiles();
+    await new Promise(resolve => server.listen(port, host, resolve));
+    return server.address().port;
   }
 
-  // Update user session cleanup
-  for (const [clientId, userData] of usersByClientId.entries()) {
-    if (!userData.isConnected && userData.lastDisconnected && (now - userData.lastDisconnected > 3600000)) {
-      console.log(`Cleaning up stale user session for client ${clientId}`);
-      usersByClientId.delete(clientId);
+  // Stops the server's and every room's timers, including those waiting on players
+  // who already disconnected, and closes all connections without saving. Rooms are
+  // dropped first so the disconnects that follow don't start new ones.
+  async function close() {
+    clearInterval(cleanupInterval);
+    clearInterval(checkpointInterval);
+    clearInterval(heartbeatInterval);
+    clearTimeout(checkpointTimeout);
+    clearTimeout(profileSaveTimeout);
+    for (const room of rooms.values()) {
+      for (const targetId of Object.keys(room.voteKicks || {})) {
+        endVoteKick(room, targetId);
+      }
+      gameEngine.stop(room);
+      stopReplay(room);
+      cancelDrawingFlush(room);
+      clearLeaveTimers(room);
     }
+    rooms.clear();
+    cluster.bus.unsubscribe(cluster.nodeId, handleClusterMessage);
+    await new Promise(resolve => io.close(() => resolve()));
   }
-  
-  updatePublicRoomsList();
-}, 60000); // Run cleanup every minute
 
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+  return {
+    nodeId: cluster.nodeId,
+    app,
+    server,
+    io,
+    rooms,
+    listen,
+    close,
+    saveSync
+  };
+}
+
+function shutdown(gameServer, signal) {
+  console.log(`Received ${signal}, saving state before exit`);
+  gameServer.saveSync();
+  process.exit(0);
+}
+
+if (require.main === module) {
+  const gameServer = createGameServer();
+  process.on('SIGTERM', () => shutdown(gameServer, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(gameServer, 'SIGINT'));
 
-const PORT = process.env.PORT || 3005;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-});
+  const PORT = process.env.PORT || 3005;
+  gameServer.listen(PORT).then(() => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
 
-module.exports = server;
+module.exports = { createGameServer };
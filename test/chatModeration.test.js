@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createBlocklist,
+  moderateMessage,
+  mutePlayer,
+  unmutePlayer
+} = require('../lib/chatModeration');
+
+const CONFIG = {
+  maxLength: 200,
+  rateLimit: 5,
+  rateWindow: 5000,
+  maxDuplicates: 2,
+  duplicateWindow: 10000,
+  blocklist: createBlocklist(['darn', 'oh heck'])
+};
+
+// The code each message at `[text, time]` gets back, or 'ok'
+function moderateAll(room, messages, config = CONFIG) {
+  return messages.map(([text, now]) => {
+    const result = moderateMessage(room, 'player', text, config, now);
+    return result.ok ? 'ok' : result.code;
+  });
+}
+
+describe('chat moderation', () => {
+  it('rejects empty and overlong messages', () => {
+    assert.deepEqual(moderateAll({}, [['   ', 0], ['x'.repeat(201), 0], ['x'.repeat(200), 0]]),
+      ['EMPTY', 'TOO_LONG', 'ok']);
+  });
+
+  it('limits messages per rate window', () => {
+    const messages = ['a', 'b', 'c', 'd', 'e', 'f'].map((text, i) => [text, i * 100]);
+    assert.deepEqual(moderateAll({}, messages), ['ok', 'ok', 'ok', 'ok', 'ok', 'RATE_LIMITED']);
+    assert.deepEqual(moderateAll({}, [...messages.slice(0, 5), ['f', 5000]]), ['ok', 'ok', 'ok', 'ok', 'ok', 'ok']);
+  });
+
+  it('stops repeats within the duplicate window, even past the rate window', () => {
+    assert.deepEqual(moderateAll({}, [['spam', 0], ['Spam ', 6000], ['spam', 12000], ['spam', 18000]]),
+      ['ok', 'ok', 'DUPLICATE', 'DUPLICATE']);
+  });
+
+  it('allows a repeat once the duplicate window has passed or another message came between', () => {
+    assert.deepEqual(moderateAll({}, [['spam', 0], ['spam', 1000], ['spam', 11001]]), ['ok', 'ok', 'ok']);
+    assert.deepEqual(moderateAll({}, [['spam', 0], ['spam', 1000], ['hello', 2000], ['spam', 3000]]),
+      ['ok', 'ok', 'ok', 'ok']);
+  });
+
+  it('masks blocklisted words and phrases', () => {
+    const result = moderateMessage({}, 'player', 'Oh heck, darn it. Darnation!', CONFIG, 0);
+    assert.deepEqual(result, { ok: true, message: '*******, **** it. Darnation!' });
+  });
+
+  it('rejects messages from a muted player until the mute ends', () => {
+    const room = {};
+    mutePlayer(room, 'player', 60000, 0);
+    const muted = moderateMessage(room, 'player', 'hello', CONFIG, 1000);
+    assert.deepEqual(muted, { ok: false, code: 'MUTED', error: 'You are muted for another 59s' });
+    assert.equal(moderateMessage(room, 'player', 'hello', CONFIG, 60000).ok, true);
+
+    mutePlayer(room, 'player', 60000, 70000);
+    unmutePlayer(room, 'player');
+    assert.equal(moderateMessage(room, 'player', 'hello again', CONFIG, 71000).ok, true);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startNode, connectClient, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('two nodes on the memory backend', () => {
+  let owner;
+  let other;
+  const clients = [];
+  const connectTo = node => {
+    const socket = connectClient(node.url);
+    clients.push(socket);
+    return socket;
+  };
+
+  // Creates a public room on the owner node and joins it from the other one
+  async function createSharedRoom() {
+    const host = connectTo(owner);
+    const guest = connectTo(other);
+    const created = nextEvent(host, 'roomCreated');
+    host.emit('createRoom', { username: 'host', isPublic: true });
+    const { roomId } = await created;
+    const joined = nextEvent(guest, 'joinedRoom');
+    const announced = nextEvent(host, 'playerJoined');
+    guest.emit('joinRoom', { roomId, username: 'guest' });
+    return { host, guest, roomId, joined: await joined, announced: await announced };
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    owner = await startNode('test-owner');
+    other = await startNode('test-other');
+  });
+
+  after(async () => {
+    clients.forEach(socket => socket.close());
+    await owner.close();
+    await other.close();
+    mock.restoreAll();
+  });
+
+  it('lists a room owned by the other node', async () => {
+    const host = connectTo(owner);
+    const browser = connectTo(other);
+    const created = nextEvent(host, 'roomCreated');
+    host.emit('createRoom', { username: 'host', isPublic: true });
+    const { roomId } = await created;
+    const listed = nextEvent(browser, 'publicRooms');
+    browser.emit('getPublicRooms');
+    const room = (await listed).find(info => info.id === roomId);
+    assert.ok(room);
+    assert.equal(room.players, 1);
+  });
+
+  it('joins a room from a node that does not own it', async () => {
+    const { host, guest, roomId, joined, announced } = await createSharedRoom();
+    assert.equal(joined.roomId, roomId);
+    assert.deepEqual(joined.players.map(p => p.username), ['host', 'guest']);
+    assert.equal(announced.player.username, 'guest');
+    // Only the owner keeps the room; the other node forwards its socket's events
+    assert.ok(owner.rooms.has(roomId));
+    assert.ok(!other.rooms.has(roomId));
+
+    const chat = nextEvent(host, 'chatMessage');
+    guest.emit('chatMessage', { message: 'hello from the other node' });
+    assert.equal((await chat).message, 'hello from the other node');
+  });
+
+  it('runs a room\'s timers only on the owner node', async () => {
+    const { host, guest, roomId } = await createSharedRoom();
+    const started = nextEvent(guest, 'gameStarted');
+    host.emit('startGame', {});
+    await started;
+    await wait(2200);
+
+    assert.equal(owner.rooms.get(roomId).status, 'selecting');
+    assert.ok(!other.rooms.has(roomId));
+    // A second copy of the timer would send every countdown value twice
+    const countdown = guest.received.filter(entry => entry.event === 'timeUpdate').map(entry => entry.payload.timeLeft);
+    assert.ok(countdown.length >= 1);
+    assert.deepEqual(countdown, [...new Set(countdown)]);
+    assert.deepEqual(countdown, [...countdown].sort((a, b) => b - a));
+  });
+});
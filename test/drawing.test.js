@@ -0,0 +1,82 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startNode, connectClient, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const SEGMENT = { x0: 0, y0: 0, x1: 10, y1: 10, color: '#000000', lineWidth: 4 };
+const CANVAS_EVENTS = ['drawingData', 'drawingBatch', 'strokeUndone', 'canvasState'];
+
+describe('drawing sync', () => {
+  let node;
+  const clients = [];
+  const connect = () => {
+    const socket = connectClient(node.url);
+    clients.push(socket);
+    return socket;
+  };
+  const canvasEvents = socket => socket.received.filter(entry => CANVAS_EVENTS.includes(entry.event));
+
+  // Starts a two-player game in `gameMode` and has the drawer pick a word
+  async function startTurn(gameMode) {
+    const host = connect();
+    const guest = connect();
+    const created = nextEvent(host, 'roomCreated');
+    host.emit('createRoom', { username: 'host' });
+    const { roomId } = await created;
+    const joined = nextEvent(guest, 'joinedRoom');
+    guest.emit('joinRoom', { roomId, username: 'guest' });
+    await joined;
+
+    const offered = Promise.race([host, guest].map(socket =>
+      nextEvent(socket, 'wordSelection', 5000).then(({ words }) => ({ socket, words }))));
+    host.emit('startGame', { gameMode });
+    const { socket: drawer, words } = await offered;
+    const guesser = drawer === host ? guest : host;
+    const started = nextEvent(drawer, 'roundStart');
+    drawer.emit('selectWord', { word: words[0] });
+    await started;
+    return { roomId, drawer, guesser };
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    node = await startNode('test-drawing');
+  });
+
+  after(async () => {
+    clients.forEach(socket => socket.close());
+    await node.close();
+    mock.restoreAll();
+  });
+
+  it('holds undos and late-join canvases back from guessers in Blind mode', async () => {
+    const { roomId, drawer, guesser } = await startTurn('Blind');
+    drawer.emit('drawing', SEGMENT);
+    const undone = nextEvent(drawer, 'strokeUndone');
+    drawer.emit('undo');
+    assert.deepEqual((await undone).canvas.history, []);
+
+    const lateJoiner = connect();
+    const joined = nextEvent(lateJoiner, 'joinedRoom');
+    lateJoiner.emit('joinRoom', { roomId, username: 'late' });
+    await joined;
+    await wait(300);
+    assert.deepEqual(canvasEvents(guesser), []);
+    assert.deepEqual(canvasEvents(lateJoiner), []);
+  });
+
+  it('sends undos and late-join canvases to guessers straight away otherwise', async () => {
+    const { roomId, drawer, guesser } = await startTurn('Normal');
+    drawer.emit('drawing', SEGMENT);
+    const undone = nextEvent(guesser, 'strokeUndone');
+    drawer.emit('undo');
+    const { strokeId } = await undone;
+    assert.ok(strokeId);
+
+    const lateJoiner = connect();
+    const canvas = nextEvent(lateJoiner, 'canvasState');
+    lateJoiner.emit('joinRoom', { roomId, username: 'late' });
+    assert.ok(Array.isArray((await canvas).history));
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/validation');
+const { EVENT_SCHEMAS } = require('../lib/eventSchemas');
+
+const NON_OBJECT_PAYLOADS = [null, 42, 'payload', true, []];
+
+describe('event schemas', () => {
+  for (const [event, schema] of Object.entries(EVENT_SCHEMAS)) {
+    it(`rejects null and non-object ${event} payloads`, () => {
+      for (const payload of NON_OBJECT_PAYLOADS) {
+        const result = validate(schema, payload);
+        assert.equal(result.ok, false, `${event} accepted ${JSON.stringify(payload)}`);
+        assert.ok(result.errors.length > 0);
+      }
+    });
+  }
+
+  it('requires a target for moderation events', () => {
+    for (const event of ['voteKick', 'mutePlayer', 'unmutePlayer', 'kickPlayer', 'banPlayer', 'transferHost']) {
+      const result = validate(EVENT_SCHEMAS[event], {});
+      assert.equal(result.ok, false, event);
+      assert.equal(result.errors[0].code, 'REQUIRED');
+    }
+  });
+
+  it('bounds mute durations and replay turns and speeds', () => {
+    assert.equal(validate(EVENT_SCHEMAS.mutePlayer, { playerId: 'p1', duration: -1 }).ok, false);
+    assert.deepEqual(validate(EVENT_SCHEMAS.mutePlayer, { playerId: 'p1', duration: 30 }).value, { playerId: 'p1', duration: 30 });
+    assert.equal(validate(EVENT_SCHEMAS.watchReplay, { turn: 1.5 }).ok, false);
+    assert.equal(validate(EVENT_SCHEMAS.watchReplay, { turn: 0, speed: 3 }).ok, false);
+    assert.deepEqual(validate(EVENT_SCHEMAS.watchReplay, { turn: 0 }).value, { turn: 0, speed: 1 });
+  });
+
+  it('rejects clientIds that name Object.prototype properties', () => {
+    for (const clientId of ['__proto__', 'constructor', 'hasOwnProperty']) {
+      const result = validate(EVENT_SCHEMAS.identifyUser, { username: 'alice', clientId });
+      assert.equal(result.ok, false, clientId);
+      assert.equal(result.errors[0].code, 'INVALID_FORMAT');
+    }
+    assert.equal(validate(EVENT_SCHEMAS.identifyUser, { username: 'alice', clientId: 'proto_constructor-1' }).ok, true);
+  });
+
+  it('fills in defaults for an empty joinNextGame payload', () => {
+    assert.deepEqual(validate(EVENT_SCHEMAS.joinNextGame, {}).value, { join: true });
+  });
+});
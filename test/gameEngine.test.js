@@ -0,0 +1,448 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES, DEFAULT_TIMING, isGameInProgress } = require('../lib/gameEngine');
+const { getGameMode } = require('../lib/gameModes');
+const { createGame } = require('./helpers');
+
+const { SELECT_TIME, TURN_END_DELAY, ALL_GUESSED_DELAY, DRAWER_LEFT_DELAY } = DEFAULT_TIMING;
+
+// Drives a game to its end: each drawer picks the first word and everyone guesses it
+function playToEnd(game, { maxTurns = 50 } = {}) {
+  const { engine, room, clock } = game;
+  for (let turn = 0; turn < maxTurns && room.status !== 'gameEnd'; turn++) {
+    assert.equal(room.status, 'selecting');
+    assert.ok(engine.selectWord(room, room.currentDrawer.id, room.wordOptions[0]));
+    game.guessAll();
+    clock.advance(ALL_GUESSED_DELAY);
+    assert.equal(room.status, 'turnEnd');
+    clock.advance(TURN_END_DELAY);
+  }
+}
+
+describe('game engine', () => {
+  it('plays a whole game with every player drawing once per round', () => {
+    const game = createGame({ players: 3, totalRounds: 2 });
+    const { engine, room, clock } = game;
+    const drawers = [];
+    const recordDrawer = () => drawers.push({ round: room.round, drawer: room.currentDrawer.id });
+
+    engine.startGame(room);
+    for (let turn = 0; turn < 10 && room.status !== 'gameEnd'; turn++) {
+      recordDrawer();
+      engine.selectWord(room, room.currentDrawer.id, room.wordOptions[0]);
+      game.guessAll();
+      clock.advance(ALL_GUESSED_DELAY + TURN_END_DELAY);
+    }
+
+    assert.equal(room.status, 'gameEnd');
+    for (const round of [1, 2]) {
+      const roundDrawers = drawers.filter(entry => entry.round === round).map(entry => entry.drawer).sort();
+      assert.deepEqual(roundDrawers, ['p1', 'p2', 'p3']);
+    }
+    assert.equal(game.eventsNamed('turnEnded').length, 6);
+    assert.equal(game.eventsNamed('gameEnded').length, 1);
+    assert.equal(game.hooksNamed('onGameEnd').length, 1);
+    // Each player guessed four drawings and every guess is worth at least 50
+    room.players.forEach(player => assert.ok(player.score >= 200));
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('only ever puts a room in one of its states', () => {
+    const game = createGame();
+    game.engine.startGame(game.room);
+    playToEnd(game);
+    const seen = new Set(game.hooksNamed('onChange').map(call => call.status));
+    assert.ok([...seen].every(status => STATES.includes(status)));
+    assert.deepEqual([...seen].sort(), ['gameEnd', 'playing', 'selecting', 'turnEnd']);
+  });
+
+  it('picks the first offered word when the drawer runs out of time', () => {
+    const game = createGame({ words: ['kite', 'lamp', 'moon'] });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    clock.advance((SELECT_TIME - 1) * 1000);
+    assert.equal(room.status, 'selecting');
+    clock.advance(1000);
+    assert.equal(room.status, 'playing');
+    assert.equal(room.word, 'kite');
+    assert.equal(room.timeLeft, room.drawTime);
+  });
+
+  it('only lets the current drawer pick a word while selecting', () => {
+    const game = createGame();
+    const { engine, room } = game;
+    assert.equal(engine.selectWord(room, 'p1', 'apple'), false);
+    engine.startGame(room);
+    const guesser = room.players.find(p => p !== room.currentDrawer);
+    assert.equal(engine.selectWord(room, guesser.id, 'apple'), false);
+    assert.ok(engine.selectWord(room, room.currentDrawer.id, 'apple'));
+    assert.equal(engine.selectWord(room, room.currentDrawer.id, 'banana'), false);
+    assert.equal(room.word, 'apple');
+  });
+
+  it('masks the word for guessers and reveals hints on schedule', () => {
+    const game = createGame({ drawTime: 30, words: ['elephant', 'giraffe', 'penguin'] });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'elephant');
+    const guesser = room.players.find(p => p !== room.currentDrawer);
+    const hintsFor = id => game.events.filter(e => e.to === id && e.event === 'wordHint').map(e => e.payload);
+
+    assert.deepEqual(hintsFor(guesser.id), [{ hint: '________', hintNumber: 0 }]);
+    assert.deepEqual(hintsFor(room.currentDrawer.id), []);
+    // A 30s turn schedules its hints 16s and 28s in
+    clock.advance(15000);
+    assert.equal(hintsFor(guesser.id).length, 1);
+    clock.advance(1000);
+    const [, first] = hintsFor(guesser.id);
+    assert.equal(first.hintNumber, 1);
+    assert.equal(first.hint.replace(/_/g, '').length, 2);
+    clock.advance(12000);
+    const [, , second] = hintsFor(guesser.id);
+    assert.equal(second.hintNumber, 2);
+    assert.equal(second.hint.replace(/_/g, '').length, 5);
+  });
+
+  it('ends a turn nobody guesses when time runs out', () => {
+    const game = createGame({ drawTime: 20 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    clock.advance(19000);
+    assert.equal(room.status, 'playing');
+    clock.advance(1000);
+    assert.equal(room.status, 'turnEnd');
+    const [turnEnded] = game.eventsNamed('turnEnded');
+    assert.equal(turnEnded.payload.word, 'apple');
+    assert.deepEqual(turnEnded.payload.scoreBreakdown, []);
+    assert.equal(engine.isCorrectGuess(room, 'apple'), false);
+    clock.advance(TURN_END_DELAY);
+    assert.equal(room.status, 'selecting');
+  });
+
+  it('ends a turn early once everyone has guessed', () => {
+    const game = createGame({ drawTime: 60 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    clock.advance(10000);
+    const [first, second] = room.players.filter(p => p !== room.currentDrawer);
+
+    assert.equal(engine.isCorrectGuess(room, 'banana'), false);
+    assert.ok(engine.isCorrectGuess(room, ' Apple '));
+    const points = engine.recordCorrectGuess(room, first);
+    assert.equal(points, Math.ceil((50 / 60) * 100 + 50));
+    clock.advance(5000);
+    assert.equal(room.status, 'playing');
+
+    engine.recordCorrectGuess(room, second);
+    clock.advance(ALL_GUESSED_DELAY - 1);
+    assert.equal(room.status, 'playing');
+    clock.advance(1);
+    assert.equal(room.status, 'turnEnd');
+    const [turnEnded] = game.eventsNamed('turnEnded');
+    assert.deepEqual(turnEnded.payload.scoreBreakdown.map(entry => entry.playerId), [first.id, second.id]);
+    assert.deepEqual(game.hooksNamed('onCorrectGuess').map(call => call.args[2].seconds), [10, 15]);
+  });
+
+  it('moves to the next drawer when the drawer leaves mid-turn', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    clock.advance(5000);
+    const leaver = room.currentDrawer;
+    room.players = room.players.filter(p => p !== leaver);
+    engine.handleDrawerLeft(room);
+
+    assert.equal(room.status, 'turnEnd');
+    assert.equal(room.currentDrawer, null);
+    assert.equal(game.hooksNamed('onTurnAbandoned').length, 1);
+    assert.equal(engine.isCorrectGuess(room, 'apple'), false);
+    // The abandoned turn's countdown has stopped
+    const updates = game.eventsNamed('timeUpdate').length;
+    clock.advance(DRAWER_LEFT_DELAY - 1);
+    assert.equal(game.eventsNamed('timeUpdate').length, updates);
+
+    clock.advance(1);
+    assert.equal(room.status, 'selecting');
+    assert.ok(room.players.includes(room.currentDrawer));
+    assert.equal(game.eventsNamed('turnEnded').length, 0);
+  });
+
+  it('handles the drawer leaving while still choosing a word', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    const leaver = room.currentDrawer;
+    room.players = room.players.filter(p => p !== leaver);
+    engine.handleDrawerLeft(room);
+    // Leaving twice, as a disconnect followed by removal does, still moves on once
+    engine.handleDrawerLeft(room);
+    assert.equal(game.hooksNamed('onTurnAbandoned').length, 0);
+    clock.advance(DRAWER_LEFT_DELAY);
+    assert.equal(room.status, 'selecting');
+    assert.equal(game.eventsNamed('turnStarted').length, 1);
+    playToEnd(game);
+    assert.equal(room.status, 'gameEnd');
+  });
+
+  it('freezes the turn while the drawer reconnects and picks it back up', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    clock.advance(5000);
+    const drawer = room.currentDrawer;
+    drawer.isConnected = false;
+    assert.ok(engine.pauseTurn(room, { gracePeriod: 10 }));
+    assert.equal(engine.pauseTurn(room, { gracePeriod: 10 }), false);
+    assert.equal(room.status, 'playing');
+    assert.equal(game.eventsNamed('turnPaused')[0].payload.timeLeft, 25);
+
+    clock.advance(9000);
+    assert.equal(room.timeLeft, 25);
+    drawer.id = 'p-back';
+    drawer.isConnected = true;
+    assert.ok(engine.resumeTurn(room));
+    assert.equal(room.turnPaused, undefined);
+    const restored = game.events.find(entry => entry.to === 'p-back' && entry.event === 'roundStart');
+    assert.equal(restored.payload.word, 'apple');
+    assert.equal(game.eventsNamed('turnResumed').length, 1);
+
+    // The grace period's expiry was called off
+    clock.advance(1000);
+    assert.equal(room.timeLeft, 24);
+    assert.equal(game.hooksNamed('onPauseExpired').length, 0);
+    clock.advance(24000);
+    assert.equal(room.status, 'turnEnd');
+    assert.equal(game.eventsNamed('turnEnded').length, 1);
+  });
+
+  it('skips a paused turn once the grace period runs out', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    const drawer = room.currentDrawer;
+    drawer.isConnected = false;
+    engine.pauseTurn(room, { gracePeriod: 10 });
+    clock.advance(10000);
+
+    assert.equal(room.status, 'turnEnd');
+    assert.equal(room.turnPaused, undefined);
+    const [expired] = game.hooksNamed('onPauseExpired');
+    assert.equal(expired.args[1], drawer);
+    // The hook runs while the drawer still holds the turn, so the server can remove them as its drawer
+    assert.equal(expired.status, 'selecting');
+    assert.equal(game.hooksNamed('onChange').filter(call => call.status === 'turnEnd').length, 1);
+    assert.equal(engine.resumeTurn(room), false);
+    clock.advance(DRAWER_LEFT_DELAY);
+    assert.equal(room.status, 'selecting');
+    assert.notEqual(room.currentDrawer, drawer);
+  });
+
+  it('keeps a host pause until the host resumes', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    assert.ok(engine.pauseTurn(room, { reason: 'host' }));
+    clock.advance(600000);
+    assert.equal(room.status, 'playing');
+    assert.equal(room.timeLeft, 30);
+    assert.equal(game.hooksNamed('onPauseExpired').length, 0);
+
+    const drawerEvents = game.events.length;
+    assert.ok(engine.resumeTurn(room));
+    // The drawer never left, so nothing is sent again
+    assert.equal(game.events.slice(drawerEvents).filter(entry => entry.event === 'roundStart').length, 0);
+    clock.advance(1000);
+    assert.equal(room.timeLeft, 29);
+  });
+
+  it('gives a drawer who drops during a host pause their grace period', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    const drawer = room.currentDrawer;
+    engine.pauseTurn(room, { reason: 'host' });
+    drawer.isConnected = false;
+    assert.ok(engine.pauseTurn(room, { gracePeriod: 10 }));
+    assert.deepEqual(room.turnPaused, { reason: 'drawer', gracePeriod: 10, hostPaused: true });
+    clock.advance(9000);
+    assert.equal(room.status, 'playing');
+    assert.equal(room.currentDrawer, drawer);
+
+    // Back in time, the drawer finds the game still paused by the host
+    drawer.isConnected = true;
+    const sent = game.events.length;
+    assert.ok(engine.resumeTurn(room, 'drawer'));
+    assert.deepEqual(room.turnPaused, { reason: 'host', gracePeriod: null });
+    assert.deepEqual(game.events.slice(sent).map(entry => entry.event), ['roundStart', 'turnPaused']);
+    clock.advance(60000);
+    assert.equal(room.timeLeft, 30);
+    assert.equal(game.hooksNamed('onPauseExpired').length, 0);
+
+    assert.ok(engine.resumeTurn(room, 'host'));
+    assert.equal(game.eventsNamed('turnResumed').length, 1);
+    clock.advance(1000);
+    assert.equal(room.timeLeft, 29);
+  });
+
+  it('keeps waiting on the drawer when the host resumes while they are away', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    const drawer = room.currentDrawer;
+    engine.pauseTurn(room, { reason: 'host' });
+    drawer.isConnected = false;
+    engine.pauseTurn(room, { gracePeriod: 10 });
+    assert.ok(engine.resumeTurn(room, 'host'));
+    assert.equal(engine.resumeTurn(room, 'host'), false);
+    assert.deepEqual(room.turnPaused, { reason: 'drawer', gracePeriod: 10 });
+    assert.equal(game.eventsNamed('turnResumed').length, 0);
+
+    clock.advance(10000);
+    assert.equal(room.status, 'turnEnd');
+    assert.deepEqual(game.hooksNamed('onPauseExpired').map(call => call.args[1]), [drawer]);
+  });
+
+  it('skips the turn without scoring it', () => {
+    const game = createGame({ players: 3 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    const drawer = room.currentDrawer;
+    engine.selectWord(room, drawer.id, 'apple');
+    assert.ok(engine.skipTurn(room));
+    assert.equal(engine.skipTurn(room), false);
+
+    const [skipped] = game.eventsNamed('turnSkipped');
+    assert.equal(skipped.payload.drawer, drawer.id);
+    assert.equal(skipped.payload.word, 'apple');
+    assert.equal(game.hooksNamed('onTurnAbandoned').length, 1);
+    clock.advance(DRAWER_LEFT_DELAY);
+    assert.equal(room.status, 'selecting');
+    assert.notEqual(room.currentDrawer, drawer);
+    assert.ok(room.players.includes(drawer));
+  });
+
+  it('skips disconnected players as drawers and guessers', () => {
+    const game = createGame({ players: 4, totalRounds: 1 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    const absent = room.players.find(p => p !== room.currentDrawer);
+    absent.isConnected = false;
+    const drawers = [room.currentDrawer.id];
+
+    for (let turn = 0; turn < 10 && room.status !== 'gameEnd'; turn++) {
+      engine.selectWord(room, room.currentDrawer.id, room.wordOptions[0]);
+      // The disconnected player can't hold up the turn
+      game.guessAll();
+      clock.advance(ALL_GUESSED_DELAY);
+      assert.equal(room.status, 'turnEnd');
+      clock.advance(TURN_END_DELAY);
+      if (room.currentDrawer) drawers.push(room.currentDrawer.id);
+    }
+    assert.equal(room.status, 'gameEnd');
+    assert.equal(drawers.length, 3);
+    assert.ok(!drawers.includes(absent.id));
+    assert.equal(absent.score, 0);
+  });
+
+  it('stops playing when every player is gone', () => {
+    const game = createGame({ players: 2 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    room.players.forEach(player => {
+      player.isConnected = false;
+    });
+    clock.advance(room.drawTime * 1000 + TURN_END_DELAY);
+    assert.ok(!isGameInProgress(room));
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('stops every timer of a room', () => {
+    const game = createGame();
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    assert.ok(clock.pending() > 0);
+    engine.stop(room);
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('resumes a checkpointed turn where it left off', () => {
+    const first = createGame({ drawTime: 30 });
+    first.engine.startGame(first.room);
+    first.engine.selectWord(first.room, first.room.currentDrawer.id, 'apple');
+    first.clock.advance(12000);
+    first.engine.stop(first.room);
+
+    const restored = JSON.parse(JSON.stringify(first.room));
+    restored.currentDrawer = restored.players.find(p => p.id === restored.currentDrawer.id);
+    const second = createGame();
+    second.engine.resume(restored);
+    second.clock.advance(1000);
+    assert.deepEqual(second.eventsNamed('timeUpdate').map(e => e.payload.timeLeft), [17]);
+    second.clock.advance(17000);
+    assert.equal(restored.status, 'turnEnd');
+    assert.equal(second.eventsNamed('turnEnded')[0].payload.word, 'apple');
+  });
+
+  it('moves on from a checkpoint taken between turns', () => {
+    const game = createGame();
+    const room = { ...game.room, status: 'turnEnd', round: 1, currentTurn: 2, currentDrawer: null };
+    game.engine.resume(room);
+    game.clock.advance(DRAWER_LEFT_DELAY);
+    assert.equal(room.status, 'selecting');
+  });
+
+  it('holds the drawing back and reveals it at turn end in Blind mode', () => {
+    const game = createGame({ gameMode: 'Blind', drawTime: 60 });
+    const { engine, room, clock } = game;
+    assert.ok(getGameMode('Blind').getDrawingDelay(room, 50) > 50);
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    clock.advance(10000);
+    const guesser = room.players.find(p => p !== room.currentDrawer);
+    assert.equal(engine.recordCorrectGuess(room, guesser), Math.ceil(Math.ceil((50 / 60) * 100 + 50) * 1.25));
+    assert.deepEqual(game.hooksNamed('flushDrawing'), []);
+    clock.advance(50000);
+    assert.equal(room.status, 'turnEnd');
+    assert.deepEqual(game.hooksNamed('flushDrawing').map(call => call.args[0]), [room]);
+  });
+
+  it('hides the word and every hint in Hidden mode', () => {
+    const game = createGame({ gameMode: 'Hidden', drawTime: 60 });
+    const { engine, room, clock } = game;
+    engine.startGame(room);
+    engine.selectWord(room, room.currentDrawer.id, 'apple');
+    const guesser = room.players.find(p => p !== room.currentDrawer);
+    const sentTo = (id, event) => game.events.filter(e => e.to === id && e.event === event).map(e => e.payload);
+
+    assert.equal(sentTo(guesser.id, 'roundStart')[0].word, '');
+    assert.equal(sentTo(room.currentDrawer.id, 'roundStart')[0].word, 'apple');
+    clock.advance(10000);
+    assert.equal(engine.recordCorrectGuess(room, guesser), Math.ceil(Math.ceil((50 / 60) * 100 + 50) * 1.5));
+    clock.advance(45000);
+    const otherGuesser = room.players.find(p => p !== room.currentDrawer && p !== guesser);
+    assert.deepEqual(sentTo(otherGuesser.id, 'wordHint'), [{ hint: '', hintNumber: 0 }]);
+  });
+
+  it('shortens each round in Speed mode', () => {
+    const game = createGame({ gameMode: 'Speed', players: 2, totalRounds: 3, drawTime: 80 });
+    const { engine, room, clock } = game;
+    const drawTimes = [];
+    engine.startGame(room);
+    while (room.status !== 'gameEnd') {
+      engine.selectWord(room, room.currentDrawer.id, room.wordOptions[0]);
+      drawTimes.push([room.round, room.timeLeft]);
+      game.guessAll();
+      clock.advance(ALL_GUESSED_DELAY + TURN_END_DELAY);
+    }
+    assert.deepEqual(drawTimes, [[1, 80], [1, 80], [2, 64], [2, 64], [3, 51], [3, 51]]);
+  });
+});
@@ -0,0 +1,157 @@
+const { io: connect } = require('socket.io-client');
+const { createGameEngine } = require('../lib/gameEngine');
+const { createGameServer } = require('../server');
+
+// A clock whose time only moves when a test advances it
+function createFakeClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    setTimeout(callback, ms) {
+      const id = nextId++;
+      timers.set(id, { id, at: now + ms, callback });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    // Runs every timer due in the next `ms`, including ones scheduled along the way
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        const due = Array.from(timers.values())
+          .filter(timer => timer.at <= until)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers.delete(due.id);
+        now = due.at;
+        due.callback();
+      }
+      now = until;
+    },
+    now: () => now,
+    pending: () => timers.size
+  };
+}
+
+function createPlayer(id) {
+  return {
+    id,
+    username: id,
+    clientId: `client-${id}`,
+    score: 0,
+    isHost: false,
+    isDrawing: false,
+    hasGuessedCorrectly: false,
+    isConnected: true
+  };
+}
+
+function createRoom({ players = 3, ...settings } = {}) {
+  const room = {
+    id: 'ROOM01',
+    status: 'waiting',
+    players: Array.from({ length: players }, (_, index) => createPlayer(`p${index + 1}`)),
+    drawTime: 30,
+    totalRounds: 2,
+    gameMode: 'Normal',
+    scoring: ['classic'],
+    teamCount: 2,
+    teamScoring: 'opponents',
+    ...settings
+  };
+  room.players[0].isHost = true;
+  return room;
+}
+
+// An engine on a fake clock with one room, recording everything it emits and every hook it calls
+function createGame({ words = ['apple', 'banana', 'cherry'], timing, ...roomSettings } = {}) {
+  const clock = createFakeClock();
+  const events = [];
+  const hookCalls = [];
+  // Hooks also note the room's state at the time they ran
+  const record = name => (...args) => {
+    hookCalls.push({ name, args, status: room.status });
+  };
+  const engine = createGameEngine({
+    clock,
+    emit: (room, event, payload) => events.push({ to: room.id, event, payload }),
+    emitTo: (playerId, event, payload) => events.push({ to: playerId, event, payload }),
+    pickWords: () => [...words],
+    getWordTier: () => 'medium',
+    tierMultipliers: { medium: 1 },
+    modeContext: { emit: () => {}, flushDrawing: record('flushDrawing') },
+    timing,
+    hooks: {
+      onGameStart: room => {
+        room.gameId = 'game-1';
+      },
+      onWordsOffered: record('onWordsOffered'),
+      onTurnStart: record('onTurnStart'),
+      onCorrectGuess: record('onCorrectGuess'),
+      onTurnEnd: record('onTurnEnd'),
+      onTurnAbandoned: record('onTurnAbandoned'),
+      onPauseExpired: record('onPauseExpired'),
+      onGameEnd: record('onGameEnd'),
+      onChange: record('onChange')
+    }
+  });
+  const room = createRoom(roomSettings);
+  return {
+    clock,
+    engine,
+    room,
+    events,
+    hookCalls,
+    eventsNamed: event => events.filter(entry => entry.event === event),
+    hooksNamed: name => hookCalls.filter(call => call.name === name),
+    // Every connected player who can score guesses the word
+    guessAll() {
+      for (const player of room.players) {
+        if (player.isConnected && player !== room.currentDrawer && engine.canGuess(room, player) &&
+            !player.hasGuessedCorrectly && engine.isCorrectGuess(room, room.word)) {
+          engine.recordCorrectGuess(room, player);
+        }
+      }
+    }
+  };
+}
+
+// A server node on a free local port that persists nothing. Nodes started in the
+// same process share the in-memory cluster backend.
+async function startNode(nodeId, options = {}) {
+  const node = createGameServer({ nodeId, stateStore: 'none', profileStore: 'none', ...options });
+  const port = await node.listen(0, '127.0.0.1');
+  node.url = `http://127.0.0.1:${port}`;
+  return node;
+}
+
+// A client that keeps every event it receives in `received`, oldest first
+function connectClient(url) {
+  const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+  socket.received = [];
+  socket.onAny((event, ...args) => socket.received.push({ event, payload: args[0] }));
+  return socket;
+}
+
+// Resolves with the payload of the next `event` the client receives
+function nextEvent(socket, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+module.exports = {
+  createFakeClock,
+  createPlayer,
+  createRoom,
+  createGame,
+  startNode,
+  connectClient,
+  nextEvent
+};
@@ -0,0 +1,130 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startNode, connectClient, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('host controls', () => {
+  let node;
+  let clients = [];
+  const connect = () => {
+    const socket = connectClient(node.url);
+    clients.push(socket);
+    return socket;
+  };
+
+  async function createRoom(username = 'host') {
+    const host = connect();
+    const session = nextEvent(host, 'session');
+    const created = nextEvent(host, 'roomCreated');
+    host.emit('createRoom', { username });
+    const { roomId } = await created;
+    return { host, roomId, session: await session };
+  }
+
+  // Joins `roomId` as `username` and resolves with the socket and its session
+  async function join(roomId, payload) {
+    const socket = connect();
+    const session = nextEvent(socket, 'session');
+    const joined = nextEvent(socket, 'joinedRoom');
+    socket.emit('joinRoom', { roomId, ...payload });
+    const result = { socket, session: await session };
+    await joined;
+    return result;
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    node = await startNode('test-host-controls');
+  });
+
+  // Every IP may only hold a few sockets at once
+  afterEach(async () => {
+    clients.forEach(socket => socket.close());
+    clients = [];
+    await wait(50);
+  });
+
+  after(async () => {
+    await node.close();
+    mock.restoreAll();
+  });
+
+  it('keeps a banned player from rejoining, even with their token', async () => {
+    const { host, roomId } = await createRoom();
+    const { socket: guest, session } = await join(roomId, { username: 'guest' });
+    const kicked = nextEvent(guest, 'kicked');
+    host.emit('banPlayer', { playerId: guest.id });
+    assert.equal((await kicked).reason, 'Banned by the host');
+
+    const returning = connect();
+    const refused = nextEvent(returning, 'errorMessage');
+    returning.emit('joinRoom', { roomId, username: 'guest', sessionToken: session.sessionToken });
+    assert.equal(await refused, 'You have been removed from this room');
+    assert.deepEqual(node.rooms.get(roomId).players.map(p => p.username), ['host']);
+  });
+
+  it('only hands host to a connected player', async () => {
+    const { host, roomId } = await createRoom();
+    const { socket: guest } = await join(roomId, { username: 'guest' });
+    const guestId = guest.id;
+    guest.close();
+    await wait(100);
+
+    const refused = nextEvent(host, 'errorMessage');
+    host.emit('transferHost', { playerId: guestId });
+    assert.equal(await refused, 'Player is not connected');
+    const room = node.rooms.get(roomId);
+    assert.equal(room.hostId, host.id);
+    assert.ok(room.players.find(p => p.id === host.id).isHost);
+  });
+
+  it('keeps maxPlayers at or above the players already in the room', async () => {
+    const { host, roomId } = await createRoom();
+    await join(roomId, { username: 'second' });
+    await join(roomId, { username: 'third' });
+    const rejected = nextEvent(host, 'validationError');
+    host.emit('updateSettings', { maxPlayers: 2 });
+    const { event, errors } = await rejected;
+    assert.equal(event, 'updateSettings');
+    assert.deepEqual(errors.map(error => [error.path, error.code]), [['maxPlayers', 'OUT_OF_RANGE']]);
+    assert.notEqual(node.rooms.get(roomId).maxPlayers, 2);
+
+    const updated = nextEvent(host, 'settingsUpdated');
+    host.emit('updateSettings', { maxPlayers: 3 });
+    assert.equal((await updated).maxPlayers, 3);
+    const turnedAway = connect();
+    const full = nextEvent(turnedAway, 'errorMessage');
+    turnedAway.emit('joinRoom', { roomId, username: 'fourth' });
+    assert.equal(await full, 'Room is full');
+  });
+
+  it('keeps the host role with a host who reconnected, and passes it on when they leave', async () => {
+    const { host, roomId, session } = await createRoom();
+    const { socket: guest } = await join(roomId, { username: 'guest' });
+    host.close();
+    await wait(100);
+
+    const returning = connect();
+    const rejoined = nextEvent(returning, 'rejoinedRoom');
+    returning.emit('joinRoom', { roomId, username: 'host', sessionToken: session.sessionToken });
+    await rejoined;
+    assert.equal(node.rooms.get(roomId).hostId, returning.id);
+
+    const handedOver = nextEvent(guest, 'hostChanged');
+    returning.emit('leaveRoom');
+    assert.equal((await handedOver).hostId, guest.id);
+    const kicked = nextEvent(guest, 'errorMessage');
+    guest.emit('kickPlayer', { playerId: 'nobody' });
+    assert.equal(await kicked, 'Player not found');
+  });
+
+  it('ignores host actions from other players', async () => {
+    const { host, roomId } = await createRoom();
+    const { socket: guest } = await join(roomId, { username: 'guest' });
+    const refused = nextEvent(guest, 'errorMessage');
+    guest.emit('kickPlayer', { playerId: host.id });
+    assert.equal(await refused, 'Only host can kick players');
+    assert.equal(node.rooms.get(roomId).players.length, 2);
+  });
+});
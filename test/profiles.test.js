@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  recordGameResult,
+  recordGameResults,
+  getProfileId,
+  describeProfile,
+  getLeaderboard
+} = require('../lib/profiles');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function result(clientId, score, extra = {}) {
+  return { clientId, username: clientId, avatar: 0, score, correctGuesses: 0, guessTime: 0, ...extra };
+}
+
+describe('profiles', () => {
+  it('adds up a player\'s games', () => {
+    const profiles = {};
+    recordGameResult(profiles, result('alice', 300, { won: true, correctGuesses: 2, guessTime: 30 }), 1000);
+    recordGameResult(profiles, result('alice', 100, { won: false, correctGuesses: 1, guessTime: 12, username: 'Alice' }), 2000);
+
+    const profile = describeProfile(profiles, getProfileId(profiles, 'alice'));
+    assert.equal(profile.username, 'Alice');
+    assert.equal(profile.createdAt, 1000);
+    assert.equal(profile.lifetimeScore, 400);
+    assert.equal(profile.gamesPlayed, 2);
+    assert.equal(profile.gamesWon, 1);
+    assert.equal(profile.correctGuesses, 3);
+    assert.equal(profile.averageGuessTime, 14);
+  });
+
+  it('publishes profiles under an id that is not the clientId', () => {
+    const profiles = {};
+    recordGameResult(profiles, result('alice', 100, { won: true }), 1000);
+    const profileId = getProfileId(profiles, 'alice');
+
+    assert.notEqual(profileId, 'alice');
+    assert.equal(describeProfile(profiles, 'alice'), null);
+    assert.ok(!('clientId' in describeProfile(profiles, profileId)));
+    const [entry] = getLeaderboard(profiles, 'global', { now: 1000 });
+    assert.equal(entry.profileId, profileId);
+    assert.ok(!('clientId' in entry));
+    assert.equal(getProfileId(profiles, 'bob'), null);
+    assert.equal(getProfileId(profiles, 'constructor'), null);
+  });
+
+  it('gives the win to everyone tied on the top score', () => {
+    const profiles = {};
+    recordGameResults(profiles, [result('alice', 200), result('bob', 200), result('carol', 50)], 1000);
+    const won = id => describeProfile(profiles, getProfileId(profiles, id)).gamesWon;
+    assert.equal(won('alice'), 1);
+    assert.equal(won('bob'), 1);
+    assert.equal(won('carol'), 0);
+  });
+
+  it('gives nobody the win when nobody scored', () => {
+    const profiles = {};
+    recordGameResults(profiles, [result('alice', 0), result('bob', 0)], 1000);
+    assert.equal(describeProfile(profiles, getProfileId(profiles, 'alice')).gamesWon, 0);
+    assert.equal(describeProfile(profiles, getProfileId(profiles, 'alice')).gamesPlayed, 1);
+  });
+
+  it('ranks daily and weekly leaderboards over their own windows', () => {
+    const profiles = {};
+    const now = 30 * DAY;
+    recordGameResults(profiles, [result('alice', 500), result('bob', 100)], now - 10 * DAY);
+    recordGameResults(profiles, [result('alice', 50), result('bob', 300)], now - 3 * DAY);
+    recordGameResults(profiles, [result('carol', 80), result('bob', 20)], now - HOUR);
+
+    const ranking = period => getLeaderboard(profiles, period, { now }).map(entry => [entry.username, entry.score]);
+    assert.deepEqual(ranking('global'), [['alice', 550], ['bob', 420], ['carol', 80]]);
+    assert.deepEqual(ranking('weekly'), [['bob', 320], ['carol', 80], ['alice', 50]]);
+    assert.deepEqual(ranking('daily'), [['carol', 80], ['bob', 20]]);
+    assert.deepEqual(getLeaderboard(profiles, 'daily', { now }).map(entry => entry.rank), [1, 2]);
+  });
+
+  it('drops games older than the longest window from the recent list', () => {
+    const profiles = {};
+    recordGameResult(profiles, result('alice', 100, { won: true }), 0);
+    recordGameResult(profiles, result('alice', 100, { won: true }), 8 * DAY);
+    assert.equal(profiles.alice.recentGames.length, 1);
+    assert.equal(profiles.alice.gamesPlayed, 2);
+  });
+
+  it('breaks ties on wins, then on fewer games', () => {
+    const profiles = {};
+    recordGameResult(profiles, result('alice', 100, { won: false }), 1000);
+    recordGameResult(profiles, result('bob', 100, { won: true }), 1000);
+    recordGameResult(profiles, result('carol', 50, { won: true }), 1000);
+    recordGameResult(profiles, result('carol', 50, { won: false }), 1000);
+
+    assert.deepEqual(getLeaderboard(profiles, 'global', { now: 1000 }).map(entry => entry.username), ['bob', 'carol', 'alice']);
+  });
+});
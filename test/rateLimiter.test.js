@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createTokenBucket,
+  takeToken,
+  createEventLimiter,
+  createConnectionLimiter
+} = require('../lib/rateLimiter');
+
+describe('token bucket', () => {
+  it('allows a burst up to its capacity', () => {
+    const bucket = createTokenBucket(3, 1, 0);
+    assert.deepEqual([1, 2, 3, 4].map(() => takeToken(bucket, 0)), [true, true, true, false]);
+  });
+
+  it('refills at its rate, up to its capacity', () => {
+    const bucket = createTokenBucket(2, 4, 0);
+    takeToken(bucket, 0);
+    takeToken(bucket, 0);
+    assert.equal(takeToken(bucket, 100), false);
+    assert.equal(takeToken(bucket, 250), true);
+    assert.equal(takeToken(bucket, 250), false);
+    // Ten seconds idle still only refills to capacity
+    assert.deepEqual([1, 2, 3].map(() => takeToken(bucket, 10250)), [true, true, false]);
+  });
+});
+
+describe('event limiter', () => {
+  const config = {
+    budgets: { chatMessage: { capacity: 1, refillPerSecond: 1 } },
+    defaultBudget: { capacity: 2, refillPerSecond: 1 },
+    warnAfter: 2,
+    disconnectAfter: 4,
+    decay: 5000
+  };
+
+  it('keeps a bucket per event', () => {
+    const limiter = createEventLimiter(config);
+    assert.equal(limiter.consume('chatMessage', 0).action, 'allow');
+    assert.equal(limiter.consume('chatMessage', 0).action, 'drop');
+    assert.equal(limiter.consume('guess', 0).action, 'allow');
+    assert.equal(limiter.consume('guess', 0).action, 'allow');
+  });
+
+  it('drops, then warns, then disconnects as violations add up', () => {
+    const limiter = createEventLimiter(config);
+    limiter.consume('chatMessage', 0);
+    const actions = [1, 2, 3, 4].map(() => limiter.consume('chatMessage', 0));
+    assert.deepEqual(actions.map(result => result.action), ['drop', 'warn', 'drop', 'disconnect']);
+    assert.equal(actions[0].retryAfter, 1000);
+  });
+
+  it('forgets violations once the socket stays within budget', () => {
+    const limiter = createEventLimiter(config);
+    limiter.consume('chatMessage', 0);
+    assert.equal(limiter.consume('chatMessage', 0).action, 'drop');
+    assert.equal(limiter.consume('chatMessage', 0).action, 'warn');
+    limiter.consume('chatMessage', 6000);
+    assert.equal(limiter.consume('chatMessage', 6000).action, 'drop');
+    assert.equal(limiter.consume('chatMessage', 6000).action, 'warn');
+  });
+});
+
+describe('connection limiter', () => {
+  it('caps concurrent connections per key', () => {
+    const limiter = createConnectionLimiter(2);
+    assert.equal(limiter.acquire('1.2.3.4'), true);
+    assert.equal(limiter.acquire('1.2.3.4'), true);
+    assert.equal(limiter.acquire('1.2.3.4'), false);
+    assert.equal(limiter.acquire('5.6.7.8'), true);
+    limiter.release('1.2.3.4');
+    assert.equal(limiter.count('1.2.3.4'), 1);
+    assert.equal(limiter.acquire('1.2.3.4'), true);
+  });
+});
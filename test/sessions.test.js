@@ -0,0 +1,154 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionToken, verifySessionToken, loadSessionSecret } = require('../lib/sessionTokens');
+const { startNode, connectClient, nextEvent } = require('./helpers');
+
+const SECRET = 'test-secret';
+const HOUR = 60 * 60 * 1000;
+
+// A token for an arbitrary payload, signed like a real one
+function signPayload(payload, secret = SECRET) {
+  const encoded = Buffer.from(payload).toString('base64url');
+  return `${encoded}.${crypto.createHmac('sha256', secret).update(encoded).digest('base64url')}`;
+}
+
+describe('session tokens', () => {
+  it('verifies a token to the clientId it was issued for', () => {
+    const { token, expiresAt } = createSessionToken('client-1', SECRET, HOUR, 1000);
+    assert.equal(expiresAt, 1000 + HOUR);
+    assert.equal(verifySessionToken(token, SECRET, 2000), 'client-1');
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const { token } = createSessionToken('client-1', 'other-secret', HOUR, 1000);
+    assert.equal(verifySessionToken(token, SECRET, 2000), null);
+  });
+
+  it('rejects a token whose signature was tampered with', () => {
+    const { token } = createSessionToken('client-1', SECRET, HOUR, 1000);
+    const [payload, signature] = token.split('.');
+    const forged = `${payload}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+    assert.equal(verifySessionToken(forged, SECRET, 2000), null);
+  });
+
+  it('rejects a token whose clientId was swapped for another', () => {
+    const { token } = createSessionToken('client-1', SECRET, HOUR, 1000);
+    const [, signature] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ clientId: 'client-2', expiresAt: 1000 + HOUR })).toString('base64url');
+    assert.equal(verifySessionToken(`${payload}.${signature}`, SECRET, 2000), null);
+  });
+
+  it('rejects an expired token', () => {
+    const { token, expiresAt } = createSessionToken('client-1', SECRET, HOUR, 1000);
+    assert.equal(verifySessionToken(token, SECRET, expiresAt), null);
+    assert.equal(verifySessionToken(token, SECRET, expiresAt + 1), null);
+  });
+
+  it('rejects malformed tokens', () => {
+    const { token } = createSessionToken('client-1', SECRET, HOUR, 1000);
+    for (const malformed of [undefined, null, 42, '', 'no-dot', '.', `${token}.extra`, signPayload('not json'),
+      signPayload('null'), signPayload(JSON.stringify({ expiresAt: 1000 + HOUR }))]) {
+      assert.equal(verifySessionToken(malformed, SECRET, 2000), null, `accepted ${malformed}`);
+    }
+  });
+
+  it('generates a secret once and reuses it', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-secret-'));
+    try {
+      const filePath = path.join(directory, 'data', 'session.secret');
+      const secret = loadSessionSecret(filePath);
+      assert.match(secret, /^[0-9a-f]{64}$/);
+      assert.equal(loadSessionSecret(filePath), secret);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sessions', () => {
+  let node;
+  const clients = [];
+  const connect = () => {
+    const socket = connectClient(node.url);
+    clients.push(socket);
+    return socket;
+  };
+
+  // The session a client gets back for `event`
+  async function identify(socket, payload, event = 'identifyUser') {
+    const session = nextEvent(socket, 'session');
+    socket.emit(event, payload);
+    return session;
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    node = await startNode('test-sessions', { sessionSecret: SECRET });
+  });
+
+  after(async () => {
+    clients.forEach(socket => socket.close());
+    await node.close();
+    mock.restoreAll();
+  });
+
+  it('keeps an unclaimed clientId and signs a token for it', async () => {
+    const session = await identify(connect(), { username: 'alice', clientId: 'alice-id' });
+    assert.equal(session.clientId, 'alice-id');
+    assert.equal(verifySessionToken(session.sessionToken, SECRET), 'alice-id');
+  });
+
+  it('lets the socket holding a clientId identify again without a token', async () => {
+    const socket = connect();
+    await identify(socket, { username: 'bob', clientId: 'bob-id' });
+    const again = await identify(socket, { username: 'bob', clientId: 'bob-id' });
+    assert.equal(again.clientId, 'bob-id');
+  });
+
+  it('gives a new clientId to another socket asking for a claimed one', async () => {
+    await identify(connect(), { username: 'carol', clientId: 'carol-id' });
+    const impostor = await identify(connect(), { username: 'carol', clientId: 'carol-id' });
+    assert.notEqual(impostor.clientId, 'carol-id');
+    const forged = await identify(connect(), {
+      username: 'carol',
+      clientId: 'carol-id',
+      sessionToken: createSessionToken('carol-id', 'other-secret', HOUR).token
+    });
+    assert.notEqual(forged.clientId, 'carol-id');
+  });
+
+  it('hands a claimed clientId to a new socket that brings its token', async () => {
+    const first = await identify(connect(), { username: 'dave', clientId: 'dave-id' });
+    const second = await identify(connect(), { username: 'dave', sessionToken: first.sessionToken });
+    assert.equal(second.clientId, 'dave-id');
+  });
+
+  it('only gives a seat back to a rejoin with its token', async () => {
+    const host = connect();
+    const created = nextEvent(host, 'roomCreated');
+    const hostSession = await identify(host, { username: 'erin', clientId: 'erin-id' }, 'createRoom');
+    const { roomId } = await created;
+    const guest = connect();
+    const guestJoined = nextEvent(guest, 'joinedRoom');
+    const guestSession = await identify(guest, { roomId, username: 'frank', clientId: 'frank-id' }, 'joinRoom');
+    await guestJoined;
+    guest.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const impostor = connect();
+    const impostorJoined = nextEvent(impostor, 'joinedRoom');
+    const impostorSession = await identify(impostor, { roomId, username: 'frank', clientId: 'frank-id' }, 'joinRoom');
+    assert.notEqual(impostorSession.clientId, 'frank-id');
+    assert.equal((await impostorJoined).players.length, 3);
+
+    const returning = connect();
+    const rejoined = nextEvent(returning, 'rejoinedRoom');
+    await identify(returning, { roomId, username: 'frank', sessionToken: guestSession.sessionToken }, 'joinRoom');
+    assert.equal((await rejoined).players.length, 3);
+    assert.equal(hostSession.clientId, 'erin-id');
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The admin API only comes up with a token, and it's read when the server loads
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { startNode, connectClient, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('spectators', () => {
+  let node;
+  let clients = [];
+  const connect = () => {
+    const socket = connectClient(node.url);
+    clients.push(socket);
+    return socket;
+  };
+  const eventsNamed = (socket, event) => socket.received.filter(entry => entry.event === event);
+
+  // The next `event` whose payload passes `test`
+  async function nextMatching(socket, event, test) {
+    for (;;) {
+      const payload = await nextEvent(socket, event);
+      if (test(payload)) return payload;
+    }
+  }
+
+  // A room of `players` players; the host comes first
+  async function createRoom({ players = 2, maxPlayers } = {}) {
+    const host = connect();
+    const created = nextEvent(host, 'roomCreated');
+    host.emit('createRoom', { username: 'host' });
+    const { roomId } = await created;
+    const sockets = [host];
+    for (let i = 1; i < players; i++) {
+      const socket = connect();
+      const joined = nextEvent(socket, 'joinedRoom');
+      socket.emit('joinRoom', { roomId, username: `player${i}` });
+      await joined;
+      sockets.push(socket);
+    }
+    if (maxPlayers) {
+      const updated = nextEvent(host, 'settingsUpdated');
+      host.emit('updateSettings', { maxPlayers });
+      await updated;
+    }
+    return { roomId, host, sockets };
+  }
+
+  async function spectate(roomId, username) {
+    const socket = connect();
+    const joined = nextEvent(socket, 'joinedAsSpectator');
+    socket.emit('joinRoom', { roomId, username, spectate: true });
+    socket.joined = await joined;
+    return socket;
+  }
+
+  function patchConfig(changes) {
+    return fetch(`${node.url}/api/admin/config`, {
+      method: 'PATCH',
+      headers: { authorization: 'Bearer test-admin-token', 'content-type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    node = await startNode('test-spectators');
+  });
+
+  // Every IP may only hold a few sockets at once
+  afterEach(async () => {
+    clients.forEach(socket => socket.close());
+    clients = [];
+    await wait(50);
+  });
+
+  after(async () => {
+    await node.close();
+    mock.restoreAll();
+  });
+
+  it('watches a room that is full to players', async () => {
+    const { roomId } = await createRoom({ maxPlayers: 2 });
+    const player = connect();
+    const full = nextEvent(player, 'errorMessage');
+    player.emit('joinRoom', { roomId, username: 'latecomer' });
+    assert.equal(await full, 'Room is full');
+
+    const spectator = await spectate(roomId, 'watcher');
+    assert.deepEqual(spectator.joined.players.map(p => p.username), ['host', 'player1']);
+    assert.deepEqual(spectator.joined.spectators.map(s => s.username), ['watcher']);
+  });
+
+  it('watches a game already under way and waits for it to end before playing', async () => {
+    const { roomId, host } = await createRoom();
+    const started = nextEvent(host, 'gameStarted');
+    host.emit('startGame', {});
+    await started;
+    const spectator = await spectate(roomId, 'watcher');
+    assert.notEqual(spectator.joined.status, 'waiting');
+
+    const updated = nextEvent(spectator, 'spectatorsUpdated');
+    spectator.emit('joinNextGame', {});
+    assert.equal((await updated).spectators[0].wantsToPlay, true);
+    await wait(100);
+    assert.deepEqual(eventsNamed(spectator, 'promotedToPlayer'), []);
+    assert.equal(node.rooms.get(roomId).players.length, 2);
+  });
+
+  it('promotes spectators who asked to play only while the room has space', async () => {
+    const { roomId, host } = await createRoom({ maxPlayers: 3 });
+    const first = await spectate(roomId, 'first');
+    const second = await spectate(roomId, 'second');
+
+    const promoted = nextEvent(first, 'promotedToPlayer');
+    first.emit('joinNextGame', {});
+    assert.deepEqual((await promoted).players.map(p => p.username), ['host', 'player1', 'first']);
+    const waiting = nextMatching(second, 'spectatorsUpdated',
+      ({ spectators }) => spectators.some(s => s.username === 'second' && s.wantsToPlay));
+    second.emit('joinNextGame', {});
+    assert.deepEqual((await waiting).spectators.map(s => [s.username, s.wantsToPlay]), [['second', true]]);
+    await wait(100);
+    assert.deepEqual(eventsNamed(second, 'promotedToPlayer'), []);
+
+    // A seat opening up is filled when the next game starts
+    const updated = nextEvent(host, 'settingsUpdated');
+    host.emit('updateSettings', { maxPlayers: 4 });
+    await updated;
+    const secondPromoted = nextEvent(second, 'promotedToPlayer');
+    host.emit('startGame', {});
+    assert.equal((await secondPromoted).players.length, 4);
+    assert.deepEqual(node.rooms.get(roomId).spectators, []);
+  });
+
+  it('turns spectators away once MAX_SPECTATORS_PER_ROOM are watching', async () => {
+    assert.equal((await patchConfig({ MAX_SPECTATORS_PER_ROOM: 1 })).status, 200);
+    try {
+      const { roomId } = await createRoom();
+      await spectate(roomId, 'first');
+      const turnedAway = connect();
+      const refused = nextEvent(turnedAway, 'errorMessage');
+      turnedAway.emit('joinRoom', { roomId, username: 'second', spectate: true });
+      assert.equal(await refused, 'Room has too many spectators');
+      assert.equal(node.rooms.get(roomId).spectators.length, 1);
+    } finally {
+      await patchConfig({ MAX_SPECTATORS_PER_ROOM: 20 });
+    }
+  });
+
+  it('keeps spectator chat among spectators', async () => {
+    const { roomId, sockets } = await createRoom();
+    const speaker = await spectate(roomId, 'speaker');
+    const listener = await spectate(roomId, 'listener');
+    const heard = nextEvent(listener, 'spectatorMessage');
+    speaker.emit('chatMessage', { message: 'it is a cat' });
+    assert.equal((await heard).message, 'it is a cat');
+    await wait(100);
+    for (const player of sockets) {
+      assert.deepEqual(eventsNamed(player, 'spectatorMessage'), []);
+      assert.ok(!eventsNamed(player, 'chatMessage').some(entry => entry.payload.message === 'it is a cat'));
+    }
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createWordStats,
+  recordOffered,
+  recordPicked,
+  recordGuessed,
+  recordPlayed,
+  getWordTier,
+  describeWordStats
+} = require('../lib/wordStats');
+
+describe('word stats', () => {
+  it('rates a word by its stats once it has been played enough', () => {
+    const stats = createWordStats();
+    assert.equal(getWordTier(stats, 'cat'), 'easy');
+    for (let turn = 0; turn < 3; turn++) {
+      recordOffered(stats, ['cat', 'dog', 'bird']);
+      recordPlayed(stats, 'cat', 2);
+    }
+    assert.equal(getWordTier(stats, 'cat'), 'hard');
+    for (let turn = 0; turn < 3; turn++) {
+      recordPicked(stats, 'Cat ');
+      recordGuessed(stats, 'cat', 5, 80);
+      recordGuessed(stats, 'cat', 5, 80);
+    }
+    assert.equal(getWordTier(stats, 'cat'), 'easy');
+    const described = describeWordStats(stats, 'CAT');
+    assert.equal(described.word, 'cat');
+    assert.equal(described.pickRate, 1);
+    assert.equal(described.guessRate, 1);
+  });
+
+  it('treats words named after Object.prototype keys like any other word', () => {
+    const stats = createWordStats();
+    assert.equal(describeWordStats(stats, 'constructor'), null);
+    assert.equal(describeWordStats(stats, '__proto__'), null);
+    assert.equal(getWordTier(stats, 'constructor'), 'hard');
+
+    recordOffered(stats, ['constructor', '__proto__', 'toString']);
+    assert.equal(Object.prototype.offered, undefined);
+    assert.equal(Object.offered, undefined);
+    assert.deepEqual(Object.keys(stats), ['constructor', '__proto__', 'tostring']);
+    assert.equal(describeWordStats(stats, '__proto__').offered, 1);
+  });
+
+  it('keeps every saved word when restoring a checkpoint', () => {
+    const restored = createWordStats(JSON.parse('{"__proto__":{"offered":1},"apple":{"offered":2}}'));
+    assert.deepEqual(Object.keys(restored), ['__proto__', 'apple']);
+    assert.equal(describeWordStats(restored, '__proto__').offered, 1);
+    assert.equal(describeWordStats(restored, 'apple').offered, 2);
+    assert.deepEqual(Object.keys(JSON.parse(JSON.stringify(restored))), ['__proto__', 'apple']);
+  });
+});